@@ -1,35 +1,99 @@
 #!/usr/bin/env -S node --max-old-space-size=8192
 
-import { program } from "commander"
+import { program, InvalidArgumentError } from "commander"
 import { createInterface } from "readline"
 import { existsSync, unlinkSync } from "fs"
-import { SSHGet, ProgressDisplay } from "../lib/index.js"
+import { SSHGet, SSHPut, ProgressDisplay, JsonReporter } from "../lib/index.js"
 import { initLogger, closeLogger } from "../lib/Logger.js"
+import { parseSize, formatSize } from "../lib/units.js"
+import { PathFilter } from "../lib/PathFilter.js"
+
+// --include, --exclude and --exclude-from all add to one list, in command-line order
+const filters = []
+
+// A whole number of at least 0 - parseInt alone turns "abc" into NaN, which compares false against everything
+function parseCount(value) {
+    if (!/^\d+$/.test(value)) {
+        throw new InvalidArgumentError("Expected a whole number of 0 or more.")
+    }
+    return parseInt(value, 10)
+}
 
 function printUsage() {
     console.log(`Usage: sshget [options] <source...> <destination>
+       sshget --upload [options] <local...> <user@host:destination>
 
 Download files/directories from remote servers via multiple parallel SSH connections.
 
 Arguments:
   source...    One or more remote paths (user@host:path) - wildcards (*) supported
-  destination  Local destination path
+  destination  Local destination path (or remote path with --upload)
 
 Options:
-  -t, --tunnels <n>    Number of parallel SSH connections (default: 8)
-  -P, --ssh-port <n>   Remote SSH port (default: 22)
+  -t, --tunnels <n>    Number of parallel SSH connections, or "auto" to scale with throughput (default: 8)
+  --max-tunnels <n>    Ceiling for --tunnels auto (default: 16)
+  --pipeline <n>       Requests kept in flight per connection, 1 disables (default: 2)
+  -P, --ssh-port <n>   Remote SSH port (default: from ssh config, else 22)
   -i, --identity <key> SSH private key path
+  -J, --jump <host>    Connect through a bastion, as for ssh -J
+  -F, --ssh-config <file>  Use this ssh config file, as for ssh -F
+  -o, --ssh-option <Key=Value>  Pass an option to ssh (repeatable)
+  --transport <spec>   How to reach the host: ssh, local, or a command such as "docker exec -i {host}" (default: ssh)
+  --agent <kind>       Remote agent: auto, python3, perl, or sh (default: auto - first available)
   --password           Prompt for password (uses sshpass)
   -c, --compress       Enable SSH compression
+  -M, --multiplex      Authenticate once and run all connections over one SSH master connection
+  --chunk-size <size>  Range size for splitting large files, e.g. 16M, 64M (default: 32M)
+  --limit-rate <rate>  Cap total bandwidth in bytes/second across all connections, e.g. 500K, 20M
+  -u, --upload         Upload local files/directories to the remote instead
+  --mirror             Sources are replicas of the same file/tree - fetch chunks from all of them
+  --verify             Verify checksums against the remote
+  --verify-algorithm <algo>  Verify with this checksum: sha256, sha1, or md5 (implies --verify)
+  --keep-partial       Keep partial chunked downloads on abort so a rerun resumes them
+  --include <glob>     Download matching paths even if a later --exclude matches them (repeatable)
+  --exclude <glob>     Skip matching paths - ** crosses directories, a trailing / matches only directories,
+                       a leading / anchors at the source root (repeatable, first matching rule wins)
+  --exclude-from <file>  Read exclude patterns from a file, one per line ("+ glob" includes)
+  --min-size <size>    Skip files smaller than this, e.g. 1K, 10M
+  --max-size <size>    Skip files larger than this
+  --newer-than <age>   Only files modified within this long, e.g. 30m, 24h, 2d, or since a date
+  --older-than <age>   Only files last modified longer ago than this, or before a date
+  --newer-than-file <file>  Only files modified after this local file
+  --skip <policy>      When an existing local file counts as downloaded: size, size-mtime, checksum, or never
+                       (default: size)
+  --ignore-existing    Never replace files that already exist locally
+  --update             Keep local files that are newer than the remote's
+  --backup             Keep each overwritten file under its name + ~
+  --backup-suffix <suffix>  Back up with this suffix instead of ~ (implies --backup)
+  --links <mode>       Symlinks in directories: preserve, follow, or skip (default: skip)
+  --sync               After downloading a directory, delete local files the remote no longer has
+  --delete-dry-run     With --sync, list what would be deleted without deleting it
+  --protect <glob>     Never delete local paths matching glob under --sync (repeatable)
+  --max-delete <n>     Fail before transferring if --sync would delete more than n entries
+  -n, --dry-run        List every file's local path and whether it would be skipped, fetched whole, or split
+                       into range jobs, without writing anything
   -v, --verbose        Enable verbose logging to .sshget.log
-  --no-progress        Disable progress display
+  --progress <mode>    Progress display: tty (redrawn in place), plain (periodic status lines), or none
+                       (default: tty when stdout is a terminal, plain otherwise)
+  --progress-interval <s>  Seconds between plain status lines (default: 10)
+  --no-progress        Disable progress display, same as --progress none
+  --json               Write events to stdout as JSON lines instead of the progress display
   -h, --help           Display help
 
 Examples:
   sshget user@host:file.txt .
   sshget user@host:dir/ ./local/
   sshget "user@host:*.txt" ./downloads/
-  sshget user@host:file1 user@host:file2 ./dest/`)
+  sshget user@host:file1 user@host:file2 ./dest/
+  sshget local:/mnt/nfs/dataset ./dataset/
+  sshget --transport "docker exec -i {host}" mycontainer:/var/log/app.log .
+  sshget --exclude "*.tmp" --exclude node_modules/ user@host:project ./
+  sshget --newer-than 24h user@host:/var/log/app/ ./logs/
+  sshget --dry-run "user@host:backups/*.tar" /mnt/restore/
+  sshget --skip checksum --backup-suffix .orig user@host:/etc/app/ ./config/
+  sshget --sync --max-delete 100 user@host:/srv/artifacts/ /mirror/
+  sshget --mirror hostA:/data/x.bin hostB:/data/x.bin ./dest/
+  sshget --upload ./build.tar.gz user@host:releases/`)
 }
 
 // Check for no arguments or help
@@ -42,13 +106,59 @@ program
     .name("sshget")
     .description("Download files/directories from remote servers via multiple parallel SSH connections")
     .argument("<paths...>", "Remote source(s) and local destination (last argument is destination)")
-    .option("-t, --tunnels <n>", "Number of parallel SSH connections", (v) => parseInt(v, 10), 8)
-    .option("-P, --ssh-port <n>", "Remote SSH port", (v) => parseInt(v, 10), 22)
+    .option("-t, --tunnels <n>", "Number of parallel SSH connections, or auto", (v) => (v === "auto" ? v : parseInt(v, 10)), 8)
+    .option("--max-tunnels <n>", "Ceiling for --tunnels auto", (v) => parseInt(v, 10))
+    .option("--pipeline <n>", "Requests kept in flight per connection", (v) => parseInt(v, 10))
+    .option("-P, --ssh-port <n>", "Remote SSH port", (v) => parseInt(v, 10))
     .option("-i, --identity <key>", "SSH private key path")
+    .option("-J, --jump <host>", "Connect through a bastion host (ssh -J)")
+    .option("-F, --ssh-config <file>", "ssh config file (ssh -F)")
+    .option("-o, --ssh-option <option>", "Extra ssh option as Key=Value (repeatable)", (v, list) => [...list, v], [])
+    .option("--transport <spec>", "ssh, local, or a wrapper command where {host} is the source host")
+    .option("--agent <kind>", "Remote agent: auto, python3, perl, or sh")
     .option("--password", "Prompt for password (uses sshpass)")
     .option("-c, --compress", "Enable SSH compression")
+    .option("-M, --multiplex", "Share one authenticated SSH connection (ControlMaster) between all agents")
+    .option("--chunk-size <size>", "Range size for splitting large files (e.g. 32M)", parseSize)
+    .option("--limit-rate <rate>", "Cap total bandwidth in bytes/second (e.g. 20M)", parseSize)
+    .option("-u, --upload", "Upload local sources to the remote destination")
+    .option("--mirror", "Treat the sources as replicas of the same data and download from all of them")
+    .option("--verify", "Verify transferred data against remote checksums")
+    .option("--verify-algorithm <algo>", "Verify with this checksum algorithm (sha256, sha1, md5)")
+    .option("--keep-partial", "Keep partially downloaded files on abort for resuming")
+    .option("--include <glob>", "Include paths matching glob (repeatable)", (v) => {
+        filters.push({ include: v })
+        return filters
+    })
+    .option("--exclude <glob>", "Exclude paths matching glob (repeatable)", (v) => {
+        filters.push({ exclude: v })
+        return filters
+    })
+    .option("--exclude-from <file>", "Read exclude patterns from a file", (v) => {
+        filters.push({ from: v }) // Read once the command line has been parsed, so a missing file is reported cleanly
+        return filters
+    })
+    .option("--min-size <size>", "Skip files smaller than size", parseSize)
+    .option("--max-size <size>", "Skip files larger than size", parseSize)
+    .option("--newer-than <age>", "Only files modified within age (e.g. 24h) or since a date")
+    .option("--older-than <age>", "Only files modified more than age ago or before a date")
+    .option("--newer-than-file <file>", "Only files modified after this local file")
+    .option("--skip <policy>", "When a local file counts as downloaded: size, size-mtime, checksum, never")
+    .option("--ignore-existing", "Never replace files that already exist locally")
+    .option("--update", "Keep local files newer than the remote's")
+    .option("--backup", "Keep overwritten files under name + suffix")
+    .option("--backup-suffix <suffix>", "Suffix for --backup (default ~)")
+    .option("--links <mode>", "How to handle symlinks: preserve, follow, or skip", "skip")
+    .option("--sync", "Delete local files the remote directory no longer has")
+    .option("--delete-dry-run", "With --sync, only list what would be deleted")
+    .option("--protect <glob>", "Never delete paths matching glob (repeatable)", (v, list) => [...list, v], [])
+    .option("--max-delete <n>", "Fail if --sync would delete more than n entries", parseCount)
+    .option("-n, --dry-run", "Show what would be transferred without writing anything")
     .option("-v, --verbose", "Verbose output")
+    .option("--progress <mode>", "Progress display: tty, plain, or none")
+    .option("--progress-interval <s>", "Seconds between plain status lines", parseFloat)
     .option("--no-progress", "Disable progress display")
+    .option("--json", "Write newline-delimited JSON events to stdout")
     .action(async (paths, options) => {
         // Need at least 2 paths: source(s) and destination
         if (paths.length < 2) {
@@ -60,8 +170,44 @@ program
         const destination = paths[paths.length - 1]
         const sources = paths.slice(0, -1)
 
-        // Check if destination looks like a remote source
-        if (destination.includes("@") || destination.includes(":")) {
+        const selecting = ["minSize", "maxSize", "newerThan", "olderThan", "newerThanFile"].some((o) => options[o] !== undefined)
+        if (options.upload && (filters.length > 0 || selecting)) {
+            console.error("Error: Include/exclude, size and age filters only apply to downloads.")
+            process.exit(1)
+        }
+
+        if (options.upload && options.dryRun) {
+            console.error("Error: --dry-run only applies to downloads.")
+            process.exit(1)
+        }
+
+        const overwriting = ["skip", "ignoreExisting", "update", "backup", "backupSuffix"].some((o) => options[o] !== undefined)
+        if (options.upload && overwriting) {
+            console.error("Error: --skip, --ignore-existing, --update and --backup only apply to downloads.")
+            process.exit(1)
+        }
+
+        // --no-progress sets progress to false; without either option the display picks tty or plain itself
+        const progressMode = options.progress === false ? "none" : options.progress
+        if (progressMode !== undefined && !["tty", "plain", "none"].includes(progressMode)) {
+            console.error(`Error: Invalid --progress mode "${progressMode}". Expected tty, plain, or none.`)
+            process.exit(1)
+        }
+
+        const syncing = options.sync || options.deleteDryRun
+        if (options.upload && syncing) {
+            console.error("Error: --sync only applies to downloads.")
+            process.exit(1)
+        }
+
+        if (options.upload) {
+            // Upload mode: sources are local, destination must be remote
+            if (!/^(?:[^@]+@)?[^:]+:.+$/.test(destination)) {
+                console.error(`Error: Upload destination "${destination}" must be a remote path (user@host:path).`)
+                process.exit(1)
+            }
+        } else if (destination.includes("@") || destination.includes(":")) {
+            // Check if destination looks like a remote source
             console.error(`Error: Destination "${destination}" looks like a remote path.`)
             console.error('If you want to download to the current directory, use "." as the destination.')
             console.error("")
@@ -71,7 +217,10 @@ program
 
         let sshget = null
         let display = null
+        let reporter = null
         let shuttingDown = false
+        // With --json, stdout carries only the event stream
+        const say = options.json ? console.error : console.log
 
         // Graceful shutdown handler (like whatsync)
         const shutdown = async () => {
@@ -82,7 +231,7 @@ program
                 display.stop()
             }
 
-            console.log("\nAborting, cleaning up...")
+            say("\nAborting, cleaning up...")
 
             if (sshget) {
                 // Abort returns list of temp files to clean up
@@ -107,6 +256,11 @@ program
                 }
             }
 
+            if (options.keepPartial && !options.upload) {
+                say("Partial downloads kept - run the same command again to resume.")
+            }
+
+            reporter?.finish(0, { aborted: true })
             closeLogger()
             process.exit(0)
         }
@@ -126,29 +280,93 @@ program
                 password = await promptPassword()
             }
 
-            sshget = new SSHGet({
+            const TransferClass = options.upload ? SSHPut : SSHGet
+            sshget = new TransferClass({
                 sources,
                 destination,
                 tunnels: options.tunnels,
+                maxTunnels: options.maxTunnels,
+                pipelineDepth: options.pipeline,
                 sshPort: options.sshPort,
+                jumpHost: options.jump,
+                sshConfig: options.sshConfig,
+                sshOptions: options.sshOption,
+                transport: options.transport,
+                agent: options.agent,
                 privateKey: options.identity,
                 password,
                 compress: options.compress,
+                multiplex: options.multiplex,
+                chunkSize: options.chunkSize,
+                rateLimit: options.limitRate,
+                // Naming an algorithm is asking for verification, with or without --verify
+                verify: options.verifyAlgorithm || options.verify || false,
+                keepPartial: options.keepPartial,
+                mirror: options.mirror,
+                links: options.links,
+                minSize: options.minSize,
+                maxSize: options.maxSize,
+                newerThan: options.newerThan,
+                olderThan: options.olderThan,
+                newerThanFile: options.newerThanFile,
+                skip: options.skip,
+                ignoreExisting: options.ignoreExisting,
+                update: options.update,
+                // Naming a suffix is asking for backups, with or without --backup
+                backup: options.backupSuffix || options.backup || false,
+                sync: options.sync,
+                deleteDryRun: options.deleteDryRun,
+                protect: options.protect,
+                maxDelete: options.maxDelete,
+                filters: filters.flatMap((rule) => (rule.from ? PathFilter.readRules(rule.from) : [rule])),
                 verbose: options.verbose
             })
 
-            if (options.progress !== false) {
+            if (options.json) {
+                reporter = new JsonReporter(sshget)
+            }
+
+            if (options.dryRun) {
+                const plan = await sshget.plan()
+                if (reporter) {
+                    reporter.write("plan", plan)
+                    reporter.finish(0)
+                } else {
+                    printPlan(plan)
+                }
+                closeLogger()
+                return
+            }
+
+            if (progressMode !== "none" && !reporter) {
                 display = new ProgressDisplay(sshget, {
                     verbose: options.verbose,
-                    showTunnels: options.verbose
+                    showTunnels: options.verbose,
+                    mode: progressMode,
+                    plainInterval: options.progressInterval ? options.progressInterval * 1000 : undefined
                 })
             }
 
-            await sshget.download()
+            // Listed once the transfer is done, so the lines don't interleave with the progress display
+            const wouldDelete = []
+            if (options.deleteDryRun && !reporter) {
+                sshget.on("file:delete", (entry) => wouldDelete.push(entry.localPath))
+            }
+
+            if (options.upload) {
+                await sshget.upload()
+            } else {
+                await sshget.download()
+            }
+            for (const localPath of wouldDelete) {
+                console.log(`would delete  ${localPath}`)
+            }
+            reporter?.finish(0)
             closeLogger()
         } catch (err) {
             if (shuttingDown) return // Don't report errors during shutdown
 
+            reporter?.finish(1, { error: err.message })
             closeLogger()
             if (options.verbose) {
                 console.error(err)
@@ -159,6 +377,38 @@ program
         }
     })
 
+// One line per directory, file and link the download would create, then the totals
+function printPlan(plan) {
+    for (const dir of plan.directories) {
+        console.log(`mkdir  ${dir}`)
+    }
+    for (const entry of plan.files) {
+        let how = formatSize(entry.size)
+        if (entry.action === "skip") {
+            how += ", up to date"
+        } else if (entry.action === "split") {
+            how += `, ${entry.jobs} range job${entry.jobs === 1 ? "" : "s"}`
+            if (entry.resumed) how += `, resuming with ${formatSize(entry.bytes)} left`
+        } else if (entry.batched) {
+            how += ", batched"
+        }
+        console.log(`${entry.action.padEnd(5)}  ${entry.remotePath} -> ${entry.localPath} (${how})`)
+    }
+    for (const link of plan.symlinks) {
+        console.log(`link   ${link.localPath} -> ${link.target}`)
+    }
+    for (const entry of plan.deletions) {
+        console.log(`delete ${entry.localPath}`)
+    }
+
+    const skipped = plan.files.filter((entry) => entry.action === "skip").length
+    console.log(
+        `\nWould transfer ${formatSize(plan.transferBytes)} of ${formatSize(plan.totalBytes)} in ` +
+            `${plan.totalFiles - skipped} of ${plan.totalFiles} files (${skipped} up to date)` +
+            (plan.deletions.length > 0 ? `, and delete ${plan.deletions.length} local entries` : "")
+    )
+}
+
 async function promptPassword() {
     return new Promise((resolve) => {
         const rl = createInterface({
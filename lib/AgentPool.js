@@ -1,16 +1,39 @@
 import { spawn } from "child_process"
 import { EventEmitter } from "events"
 import { log as fileLog } from "./Logger.js"
-
-// Minimal binary protocol agent - only handles file reads
-// Request: path_len(2) + path + offset(8) + length(8)
+import { RateLimiter, RATE_TICK_MS } from "./RateLimiter.js"
+import { TunnelScaler } from "./TunnelScaler.js"
+import { createTransport } from "./Transport.js"
+import { PERL_AGENT, SH_AGENT, SH_AGENT_COMMANDS } from "./agents.js"
+
+// Minimal binary protocol agent - handles file reads and writes
+// On startup the agent sends a hello before reading anything: a response (see below) whose data is the line
+// "sshget-agent" followed by key=value lines - protocol (PROTOCOL_VERSION), agent, version (of its interpreter),
+// platform, ops (the op codes it implements) and hashes (the algorithms H accepts, comma-separated)
+// Request: op(1) + path_len(2) + path + op-specific fields
+//   R (read):     offset(8) + length(8)
+//   B (batch):    path unused (empty); count(4) + count x (path_len(2) + path) - responds with one read
+//                 response per file, in order, each covering the whole file
+//   T (create):   size(8) - creates/truncates the file (and parent dirs) to size
+//   W (write):    offset(8) + length(8) + data
+//   F (finalize): dest_len(2) + dest + mode(4) + mtime(8) - applies metadata then renames path to dest
+//   H (hash):     offset(8) + length(8) + algo_len(1) + algo - responds with the hex digest of the range
+//   L (list):     follow(1) + filter rules (see PathFilter.encode) - walks path, leaving out entries the rules
+//                 exclude, and streams entry records (see below)
 // Response: status(1) + data_len(8) + data (or error message if status=1)
 // Streams data in 256KB chunks to avoid memory issues with large files
+// List responses are a series of blocks, each status(1) + len(8) + records, ending with a zero-length block.
+// Each record is type(1: f/d/l/o) + flags(1) + mode(4) + size(8) + mtime(8) + path_len(2) + path, where path is
+// the raw bytes relative to the listed root (empty for the root itself), followed by target_len(2) + target for
+// symlinks. Symlinks are reported as-is unless follow=1, in which case they are resolved and walked (flag 1) -
+// links that would loop back to an ancestor directory, or that dangle, are still reported as links (flag 2).
 const PYTHON_AGENT = `
-import sys, struct, os
+import sys, struct, os, stat, time, hashlib, re
 
 stdin, stdout, stderr = sys.stdin.buffer, sys.stdout.buffer, sys.stderr
+PROTOCOL = 2  # Must match PROTOCOL_VERSION in AgentPool.js
 CHUNK = 262144  # 256KB streaming chunks
+LIST_BLOCK = 1048576  # 1MB listing blocks
 
 def log(msg):
     if os.environ.get('SSHGET_DEBUG'):
@@ -27,32 +50,36 @@ def read_exact(n):
         d += c
     return d
 
+def read_path():
+    pl = struct.unpack('>H', read_exact(2))[0]
+    return read_exact(pl)
+
+def send_ok():
+    stdout.write(struct.pack('>BQ', 0, 0))
+    stdout.flush()
+
 def send_error(msg):
     err = msg.encode()[:1000]
     stdout.write(struct.pack('>BQ', 1, len(err)))
     stdout.write(err)
     stdout.flush()
 
-def handle_request():
-    # Read path length
-    pl = struct.unpack('>H', read_exact(2))[0]
-
-    # Read path
-    path_bytes = read_exact(pl)
+def send_range(path, off, ln):
+    # Open before anything goes out, so an unreadable file gets a clean error response - once the OK header is sent
+    # the reader expects data, and a failure past that point can only be reported by exiting (see the main loop)
     try:
-        path = path_bytes.decode('utf-8')
-    except UnicodeDecodeError as e:
-        send_error("Invalid path encoding: {}".format(e))
+        f = open(path, 'rb')
+        # Get actual file size to calculate real read length (ln=None reads to EOF)
+        file_size = os.fstat(f.fileno()).st_size
+    except Exception as e:
+        log("error: {}".format(e))
+        send_error(str(e))
         return
 
-    # Read offset and length
-    off, ln = struct.unpack('>QQ', read_exact(16))
-    log("request: {} offset={} len={}".format(path, off, ln))
-
-    try:
-        # Get actual file size to calculate real read length
-        file_size = os.path.getsize(path)
-        actual_len = min(ln, max(0, file_size - off))
+    with f:
+        actual_len = max(0, file_size - off)
+        if ln is not None:
+            actual_len = min(ln, actual_len)
 
         # Send success header with actual length
         stdout.write(struct.pack('>BQ', 0, actual_len))
@@ -64,26 +91,253 @@ def handle_request():
 
         # Stream data in chunks
         bytes_sent = 0
+        f.seek(off)
+        remaining = actual_len
+        while remaining > 0:
+            chunk_size = min(CHUNK, remaining)
+            data = f.read(chunk_size)
+            if not data:
+                log("unexpected EOF at {}/{}".format(bytes_sent, actual_len))
+                break
+            stdout.write(data)
+            bytes_sent += len(data)
+            remaining -= len(data)
+
+    stdout.flush()
+    log("sent {} bytes".format(bytes_sent))
+
+def op_read(path):
+    off, ln = struct.unpack('>QQ', read_exact(16))
+    log("read: {} offset={} len={}".format(path, off, ln))
+    send_range(path, off, ln)
+
+def op_batch(_path):
+    count = struct.unpack('>I', read_exact(4))[0]
+    paths = [read_path() for _ in range(count)]
+    log("batch: {} files".format(count))
+    for path in paths:
+        send_range(path, 0, None)
+
+def op_create(path):
+    size = struct.unpack('>Q', read_exact(8))[0]
+    log("create: {} size={}".format(path, size))
+
+    try:
+        parent = os.path.dirname(path)
+        if parent:
+            os.makedirs(parent, exist_ok=True)
+        with open(path, 'wb') as f:
+            f.truncate(size)
+        send_ok()
+    except Exception as e:
+        log("error: {}".format(e))
+        send_error(str(e))
+
+def op_write(path):
+    off, ln = struct.unpack('>QQ', read_exact(16))
+    log("write: {} offset={} len={}".format(path, off, ln))
+
+    err = None
+    f = None
+    try:
+        f = open(path, 'r+b')
+        f.seek(off)
+    except Exception as e:
+        err = e
+
+    # Always consume the full payload so the stream stays in sync, even after an error
+    remaining = ln
+    while remaining > 0:
+        data = read_exact(min(CHUNK, remaining))
+        remaining -= len(data)
+        if err is None:
+            try:
+                f.write(data)
+            except Exception as e:
+                err = e
+
+    if f is not None:
+        try:
+            f.close()
+        except Exception as e:
+            err = err or e
+
+    if err is not None:
+        log("error: {}".format(err))
+        send_error(str(err))
+    else:
+        send_ok()
+
+def op_finalize(path):
+    dest = read_path()
+    mode, mtime = struct.unpack('>IQ', read_exact(12))
+    log("finalize: {} -> {} mode={:o} mtime={}".format(path, dest, mode, mtime))
+
+    try:
+        os.chmod(path, mode)
+        os.utime(path, (mtime, mtime))
+        os.rename(path, dest)
+        send_ok()
+    except Exception as e:
+        log("error: {}".format(e))
+        send_error(str(e))
+
+def op_hash(path):
+    off, ln = struct.unpack('>QQ', read_exact(16))
+    al = struct.unpack('>B', read_exact(1))[0]
+    algo = read_exact(al).decode('ascii')
+    log("hash: {} offset={} len={} algo={}".format(path, off, ln, algo))
+
+    try:
+        h = hashlib.new(algo)
         with open(path, 'rb') as f:
             f.seek(off)
-            remaining = actual_len
+            remaining = ln
             while remaining > 0:
-                chunk_size = min(CHUNK, remaining)
-                data = f.read(chunk_size)
+                data = f.read(min(CHUNK * 4, remaining))
                 if not data:
-                    log("unexpected EOF at {}/{}".format(bytes_sent, actual_len))
                     break
-                stdout.write(data)
-                bytes_sent += len(data)
+                h.update(data)
                 remaining -= len(data)
-
+        digest = h.hexdigest().encode()
+        stdout.write(struct.pack('>BQ', 0, len(digest)))
+        stdout.write(digest)
         stdout.flush()
-        log("sent {} bytes".format(bytes_sent))
+    except Exception as e:
+        log("error: {}".format(e))
+        send_error(str(e))
+
+def entry_type(mode):
+    if stat.S_ISREG(mode):
+        return b'f'
+    if stat.S_ISDIR(mode):
+        return b'd'
+    if stat.S_ISLNK(mode):
+        return b'l'
+    return b'o'
+
+def op_list(path):
+    log("list: {}".format(path))
+    block = []
+    state = {'size': 0, 'flushed': time.time()}
+
+    def flush():
+        data = b''.join(block)
+        del block[:]
+        state['size'] = 0
+        state['flushed'] = time.time()
+        if data:
+            stdout.write(struct.pack('>BQ', 0, len(data)))
+            stdout.write(data)
+            stdout.flush()
+
+    def emit(rel, st, flags=0, target=None):
+        kind = entry_type(st.st_mode)
+        rec = struct.pack('>cBIQQH', kind, flags, stat.S_IMODE(st.st_mode), st.st_size,
+                          max(0, int(st.st_mtime)), len(rel)) + rel
+        if kind == b'l':
+            rec += struct.pack('>H', len(target)) + target
+        block.append(rec)
+        state['size'] += len(rec)
+        # Flush on size, and on time so slow walks keep the stream alive
+        if state['size'] >= LIST_BLOCK or time.time() - state['flushed'] >= 1:
+            flush()
+
+    follow = read_exact(1) != b'\\x00'
+    rules = []
+    for _ in range(struct.unpack('>H', read_exact(2))[0]):
+        flags = read_exact(1)[0]
+        rules.append((flags & 1, flags & 2, read_exact(struct.unpack('>H', read_exact(2))[0])))
+
+    def skip(rel, is_dir):
+        # First matching rule decides (see PathFilter) - names that aren't UTF-8 keep their odd bytes as surrogates
+        name = rel.decode('utf-8', 'surrogateescape')
+        for include, dir_only, rx in rules:
+            if (is_dir or not dir_only) and rx.search(name):
+                return not include
+        return False
 
+    try:
+        # $ would also match before a trailing newline
+        rules = [(i, d, re.compile(src.decode('utf-8')[:-1] + r'\\Z')) for i, d, src in rules]
+        root = os.stat(path)
+        emit(b'', root)
+        if stat.S_ISDIR(root.st_mode):
+            # Each directory carries the (dev, ino) of its ancestors for loop detection when following links
+            stack = [(path, b'', frozenset([(root.st_dev, root.st_ino)]))]
+            while stack:
+                dir_path, rel, ancestors = stack.pop()
+                # Entries can vanish while a live tree is walked - those are skipped, like the other agents do
+                try:
+                    entries = list(os.scandir(dir_path))
+                except FileNotFoundError:
+                    continue
+                for entry in entries:
+                    child = rel + b'/' + entry.name if rel else entry.name
+                    try:
+                        st = entry.stat(follow_symlinks=False)
+                        flags = 0
+                        target = os.readlink(entry.path) if stat.S_ISLNK(st.st_mode) else None
+                    except FileNotFoundError:
+                        continue
+                    if stat.S_ISLNK(st.st_mode):
+                        if not follow:
+                            if not skip(child, False):
+                                emit(child, st, 0, target)
+                            continue
+                        try:
+                            resolved = os.stat(entry.path)
+                        except OSError:
+                            if not skip(child, False):
+                                emit(child, st, 2, target)
+                            continue
+                        if stat.S_ISDIR(resolved.st_mode) and (resolved.st_dev, resolved.st_ino) in ancestors:
+                            log("symlink loop: {} -> {}".format(child, target))
+                            if not skip(child, False):
+                                emit(child, st, 2, target)
+                            continue
+                        st = resolved
+                        flags = 1
+                    # Excluded directories are never walked
+                    if skip(child, stat.S_ISDIR(st.st_mode)):
+                        continue
+                    emit(child, st, flags)
+                    if stat.S_ISDIR(st.st_mode):
+                        stack.append((entry.path, child, ancestors | {(st.st_dev, st.st_ino)}))
+        flush()
+        send_ok()
     except Exception as e:
         log("error: {}".format(e))
         send_error(str(e))
 
+OPS = {b'R': op_read, b'B': op_batch, b'T': op_create, b'W': op_write, b'F': op_finalize, b'H': op_hash, b'L': op_list}
+
+def send_hello():
+    hashes = [a for a in ('sha256', 'sha1', 'md5') if a in hashlib.algorithms_available]
+    hello = '\\n'.join([
+        'sshget-agent',
+        'protocol={}'.format(PROTOCOL),
+        'agent=python3',
+        'version={}.{}.{}'.format(*sys.version_info[:3]),
+        'platform={}'.format(sys.platform),
+        'ops={}'.format(b''.join(OPS).decode()),
+        'hashes={}'.format(','.join(hashes)),
+    ]).encode()
+    stdout.write(struct.pack('>BQ', 0, len(hello)))
+    stdout.write(hello)
+    stdout.flush()
+
+def handle_request():
+    op = read_exact(1)
+    path = read_path()
+    handler = OPS.get(op)
+    if handler is None:
+        # Unknown op means we can't know the request length - the stream is unrecoverable
+        raise Exception("unknown op {!r}".format(op))
+    handler(path)
+
+send_hello()
+
 # Main loop with top-level exception handling
 while True:
     try:
@@ -100,35 +354,108 @@ while True:
         sys.exit(1)
 `.trim()
 
+// Encode a request header: op(1) + path_len(2) + path, followed by op-specific fields
+// remotePath may be a Buffer holding raw path bytes from a listing, which need not be valid UTF-8
+function buildRequest(op, remotePath, fields = Buffer.alloc(0)) {
+    const pathBuf = Buffer.isBuffer(remotePath) ? remotePath : Buffer.from(remotePath, "utf8")
+    const header = Buffer.alloc(3 + pathBuf.length)
+    header.write(op, 0, "ascii")
+    header.writeUInt16BE(pathBuf.length, 1)
+    pathBuf.copy(header, 3)
+    return Buffer.concat([header, fields])
+}
+
+// Error reported by the agent in a complete response - the connection is still usable afterwards
+function remoteError(message) {
+    const err = new Error(message)
+    err.remote = true
+    return err
+}
+
 // Shell escape a string for use in remote commands
 function shellEscape(str) {
     return `'${str.replace(/'/g, "'\\''")}'`
 }
 
-const SSH_OPTIONS = [
-    "-o",
-    "Ciphers=aes128-gcm@openssh.com,aes256-gcm@openssh.com,aes128-ctr,aes256-ctr",
-    "-o",
-    "IPQoS=throughput",
-    "-o",
-    "ServerAliveInterval=60",
-    "-o",
-    "StrictHostKeyChecking=accept-new"
-]
+// Record type codes used by the agent's list op
+const ENTRY_TYPES = { f: "file", d: "directory", l: "symlink", o: "other" }
+
+// Remote hashing produces no output until it finishes, so the stall timeout is extended
+// assuming the remote can hash at least this many bytes per millisecond (~50MB/s)
+const HASH_BYTES_PER_MS = 50 * 1024
+
+// Upload payloads are sent in 256KB pieces to match the agent's streaming chunk size
+const WRITE_CHUNK = 262144
+
+// tunnels: "auto" starts this many agents and grows up to the ceiling (maxTunnels) while throughput improves
+const AUTO_INITIAL_TUNNELS = 2
+export const AUTO_MAX_TUNNELS = 16
+
+// Version of the binary protocol above - agents announce theirs in the hello, and any other version is refused
+export const PROTOCOL_VERSION = 2
+// Upper bound on the hello's size, so a stray login banner on stdout isn't mistaken for a huge hello
+const MAX_HELLO = 4096
+
+// Outstanding requests per agent - enough to hide the round trip between one job and the next
+const DEFAULT_PIPELINE_DEPTH = 2
+
+// Agent implementations in order of preference: the shell test that tells whether one can run on the remote, the
+// command that starts it, and the ops it implements (see lib/agents.js for the fallbacks)
+const AGENTS = {
+    python3: {
+        probe: "python3 -c 'import sys; sys.exit(sys.version_info[0] < 3)' >/dev/null 2>&1",
+        command: `exec python3 -c ${shellEscape(PYTHON_AGENT)}`,
+        ops: "RBTWFHL"
+    },
+    perl: {
+        probe: "perl -e 1 >/dev/null 2>&1",
+        command: `exec perl -e ${shellEscape(PERL_AGENT)}`,
+        ops: "RBTWFHL"
+    },
+    sh: {
+        // stat and head need the GNU/BusyBox -c options, which BSD stat lacks
+        probe: [
+            ...SH_AGENT_COMMANDS.map((cmd) => `command -v ${cmd} >/dev/null 2>&1`),
+            "stat -L -c %s / >/dev/null 2>&1",
+            "head -c 1 </dev/null >/dev/null 2>&1"
+        ].join(" && "),
+        command: `exec sh -c ${shellEscape(SH_AGENT)}`,
+        ops: "RBHL"
+    }
+}
+export const AGENT_KINDS = Object.keys(AGENTS)
 
 export class AgentPool extends EventEmitter {
     constructor(options = {}) {
         super()
-        this.user = options.user
+        this.user = options.user // Left to ssh (and ssh_config) when not given
         this.host = options.host
-        this.tunnelCount = options.tunnels || 8
-        this.compress = options.compress || false
-        this.password = options.password || null
-        this.privateKey = options.privateKey || null
-        this.sshPort = options.sshPort || 22
+        this.target = this.user ? `${this.user}@${this.host}` : this.host
+        this.autoTunnels = options.tunnels === "auto"
+        this.maxTunnels = options.maxTunnels || AUTO_MAX_TUNNELS
+        this.tunnelCount = this.autoTunnels ? Math.min(AUTO_INITIAL_TUNNELS, this.maxTunnels) : options.tunnels || 8
         this.verbose = options.verbose || false
+        // How agents and remote commands reach the host: ssh (the default), local, or a wrapper command
+        this.transport = createTransport(options)
+        // Which agent to run - "auto" picks the first of AGENT_KINDS the remote can run
+        this.agentKind = options.agent || "auto"
+        if (this.agentKind !== "auto" && !AGENTS[this.agentKind]) {
+            throw new Error(`Unknown agent: ${this.agentKind}. Expected one of: auto, ${AGENT_KINDS.join(", ")}`)
+        }
+        // Ops the caller will use - agents that lack any of them aren't considered (uploads need T, W and F)
+        this.requiredOps = options.requiredOps || ""
+        this.agentType = null // The agent detectAgent() chose
+        // What the agents announced in their hello: { protocol, agent, version, platform, ops, hashes }
+        this.capabilities = null
+        // Requests that may be outstanding on one connection at a time (1 disables pipelining)
+        this.pipelineDepth = Math.max(1, options.pipelineDepth || DEFAULT_PIPELINE_DEPTH)
+        // Bandwidth cap in bytes/second across all agents (0 = unlimited) - may be shared with other pools
+        this.rateLimiter = options.rateLimiter || new RateLimiter(options.rateLimit)
 
         this.agents = []
+        this.nextAgentId = 0
+        this.bytesTransferred = 0 // Payload bytes moved by all agents, for throughput measurement
+        this.scaler = null
         this.connected = false
     }
 
@@ -138,68 +465,33 @@ export class AgentPool extends EventEmitter {
         }
     }
 
-    buildSSHArgs() {
-        const args = [
-            "-T", // Disable PTY - required for binary protocol
-            ...SSH_OPTIONS,
-            "-p",
-            String(this.sshPort)
-        ]
-
-        if (this.compress) {
-            args.push("-C")
-        }
-
-        if (this.privateKey) {
-            args.push("-i", this.privateKey)
-        }
-
-        args.push(`${this.user}@${this.host}`)
-
-        // Build remote command - set SSHGET_DEBUG for verbose agent logging
+    // The shell command that starts an agent - set SSHGET_DEBUG for verbose agent logging
+    agentCommand() {
         const debugPrefix = this.verbose ? "SSHGET_DEBUG=1 " : ""
-        args.push(`${debugPrefix}exec python3 -c ${shellEscape(PYTHON_AGENT)}`)
-
-        return args
+        return `${debugPrefix}${AGENTS[this.agentType].command}`
     }
 
-    wrapWithSSHPass(command, args) {
-        if (!this.password) {
-            return { command, args }
-        }
-        return {
-            command: "sshpass",
-            args: ["-p", this.password, command, ...args]
-        }
+    // Whether the connected agents implement an op
+    supports(op) {
+        return this.capabilities.ops.includes(op)
     }
 
-    async checkSSHPass() {
-        if (!this.password) return true
-
-        return new Promise((resolve) => {
-            const proc = spawn("which", ["sshpass"])
-            proc.on("close", (code) => {
-                resolve(code === 0)
-            })
-        })
+    // Fail unless the connected agents can compute checksums with algorithm (for verify)
+    requireHash(algorithm) {
+        const { agent, hashes } = this.capabilities
+        if (!this.supports("H") || !hashes.includes(algorithm)) {
+            throw new Error(
+                `Can't verify with ${algorithm}: the ${agent} agent on ${this.target} supports ${hashes.join(", ") || "no checksums"}`
+            )
+        }
     }
 
     // Execute a one-off remote command (for file listings, stat, glob, etc.)
     async execRemote(command) {
-        return new Promise((resolve, reject) => {
-            const sshArgs = ["-p", String(this.sshPort), ...SSH_OPTIONS]
-
-            if (this.compress) {
-                sshArgs.push("-C")
-            }
-
-            if (this.privateKey) {
-                sshArgs.push("-i", this.privateKey)
-            }
-
-            sshArgs.push(`${this.user}@${this.host}`, command)
+        await this.transport.prepare()
 
-            const { command: cmd, args } = this.wrapWithSSHPass("ssh", sshArgs)
+        return new Promise((resolve, reject) => {
+            const { command: cmd, args } = this.transport.command(command)
 
             this.log("Executing remote command:", cmd, args.join(" "))
 
@@ -222,7 +514,8 @@ export class AgentPool extends EventEmitter {
                 if (code === 0) {
                     resolve(stdout.trim())
                 } else {
-                    reject(new Error(`Remote command failed: ${stderr || stdout}`))
+                    const output = (stderr || stdout).trim()
+                    reject(new Error(`Remote command failed${output ? `: ${output}` : ` with exit code ${code}`}`))
                 }
             })
 
@@ -230,35 +523,43 @@ export class AgentPool extends EventEmitter {
         })
     }
 
-    async checkPythonVersion() {
-        this.log("Checking remote Python version...")
+    // Pick the agent to run: the requested one, or the first the remote has an interpreter for
+    async detectAgent() {
+        const requested = this.agentKind === "auto" ? AGENT_KINDS : [this.agentKind]
+        const kinds = requested.filter((kind) => [...this.requiredOps].every((op) => AGENTS[kind].ops.includes(op)))
+        if (kinds.length === 0) {
+            const missing = [...this.requiredOps].filter((op) => !AGENTS[this.agentKind].ops.includes(op))
+            throw new Error(`The ${this.agentKind} agent can't be used here: it lacks ops ${missing.join(", ")}`)
+        }
+        this.log(`Probing remote for agents: ${kinds.join(", ")}`)
+        const probe = kinds.map((kind) => `if ${AGENTS[kind].probe}; then echo ${kind}; exit; fi`).join("; ")
+        let output
         try {
-            const output = await this.execRemote('python3 -c "import sys; print(sys.version_info[0])"')
-            const major = parseInt(output.trim(), 10)
-            this.log(`Remote Python major version: ${major}`)
-            if (major < 3) {
-                throw new Error(`Python 3 is required on the remote server, but found Python ${major}`)
-            }
+            output = await this.execRemote(probe)
         } catch (err) {
-            if (err.message.includes("Python 3 is required")) {
-                throw err
+            throw new Error(`Could not probe ${this.target}: ${err.message.trim()}`)
+        }
+
+        // The answer is the last line - anything before it is a login banner
+        const kind = output.trim().split("\n").pop().trim()
+        if (!AGENTS[kind]) {
+            if (this.agentKind !== "auto") {
+                throw new Error(`The ${this.agentKind} agent can't run on ${this.target}`)
             }
-            throw new Error("python3 is not available on the remote server")
+            const needs = kinds.map((k) => (k === "sh" ? "a shell with coreutils (or BusyBox)" : k))
+            throw new Error(`No agent can run on ${this.target}: it needs ${needs.slice(0, -1).join(", ")} or ${needs.at(-1)}`)
         }
+        this.agentType = kind
+        this.log(`Using ${kind} agent`)
     }
 
     async connect() {
-        if (this.password) {
-            const hasSshpass = await this.checkSSHPass()
-            if (!hasSshpass) {
-                throw new Error(
-                    "sshpass is required for password authentication but not found. Install it with: brew install hudochenkov/sshpass/sshpass"
-                )
-            }
-        }
+        this.log(`Connecting via ${this.transport.describe()}`)
+        // Fails early when sshpass is missing, and sets up the master connection when multiplexing
+        await this.transport.prepare()
 
-        // Check Python version on remote server
-        await this.checkPythonVersion()
+        // Find an interpreter for the agent on the remote server (over the master connection, if multiplexing)
+        await this.detectAgent()
 
         this.log(`Starting ${this.tunnelCount} agent connections...`)
 
@@ -280,9 +581,60 @@ export class AgentPool extends EventEmitter {
             }
         }
 
+        // Agents all run the same program, so any one of them speaks for the rest
+        this.capabilities = this.agents[0].capabilities
+        const { agent, version, platform, ops } = this.capabilities
+        this.log(`Remote runs the ${agent} agent (${version} on ${platform}), protocol ${PROTOCOL_VERSION}, ops ${ops}`)
+        const missing = [...this.requiredOps].filter((op) => !ops.includes(op))
+        if (missing.length > 0) {
+            throw new Error(`The ${agent} agent on ${this.target} lacks ops ${missing.join(", ")}`)
+        }
+
+        this.nextAgentId = this.tunnelCount
         this.connected = true
         this.emit("ready")
         this.log("All agents connected")
+
+        if (this.autoTunnels) {
+            this.scaler = new TunnelScaler(this, { min: this.tunnelCount, max: this.maxTunnels, verbose: this.verbose })
+            this.scaler.start()
+        }
+    }
+
+    // Start one more agent while connected, returning whether it came up
+    async addAgent() {
+        const index = this.nextAgentId++
+        try {
+            await this.startAgentWithRetry(index)
+        } catch (err) {
+            this.log(`Could not add agent ${index}: ${err.message}`)
+            this.agents = this.agents.filter((a) => a.id !== index)
+            return false
+        }
+
+        const agent = this.agents.find((a) => a.id === index)
+        if (!this.connected) {
+            // The pool closed while it was starting
+            this.retireAgent(agent)
+            return false
+        }
+        this.log(`Added agent ${index}, now ${this.agents.length}`)
+        this.emit("agent:added", agent)
+        return true
+    }
+
+    // Disconnect an agent that has no jobs and drop it from the pool
+    retireAgent(agent) {
+        this.agents = this.agents.filter((a) => a !== agent)
+        clearTimeout(agent.throttleTimer)
+        agent.ready = false
+        agent.process.stdin.end()
+        setTimeout(() => {
+            if (!agent.process.killed) {
+                agent.process.kill("SIGTERM")
+            }
+        }, 500)
+        this.emit("tunnel:status", this.getStates())
     }
 
     async startAgentWithRetry(index, maxRetries = 3) {
@@ -308,8 +660,7 @@ export class AgentPool extends EventEmitter {
 
     async startAgent(index) {
         return new Promise((resolve, reject) => {
-            const sshArgs = this.buildSSHArgs()
-            const { command, args } = this.wrapWithSSHPass("ssh", sshArgs)
+            const { command, args } = this.transport.command(this.agentCommand(), { binary: true })
 
             this.log(`Starting agent ${index}`)
 
@@ -322,9 +673,18 @@ export class AgentPool extends EventEmitter {
                 process: proc,
                 ready: false,
                 busy: false,
+                inflight: 0, // Jobs currently holding this agent
+                lastActive: Date.now(), // When a job was last acquired or released
                 jobInfo: null,
                 readBuffer: Buffer.alloc(0),
                 pendingRead: null,
+                pendingWrite: null, // A write waiting for stdin to drain
+                closed: null, // Why the connection ended, once it has
+                held: [], // stdout data waiting for rate limit allowance
+                throttleTimer: null,
+                sendQueue: Promise.resolve(), // Settles once the last request has been fully written
+                recvQueue: Promise.resolve(), // Settles once the last response has been fully read
+                desynced: null, // Why the response stream can no longer be trusted
                 stderrBuffer: "" // Capture stderr for diagnostics
             }
 
@@ -334,9 +694,15 @@ export class AgentPool extends EventEmitter {
 
             // Set up stdout data handler for binary protocol
             proc.stdout.on("data", (data) => {
-                agent.readBuffer = Buffer.concat([agent.readBuffer, data])
-                if (agent.pendingRead) {
-                    agent.pendingRead.check()
+                if (!this.rateLimiter.limited && agent.held.length === 0) {
+                    this.deliver(agent, data)
+                    return
+                }
+                // Over the limit: hold the data and stop reading so backpressure reaches the remote
+                agent.held.push(data)
+                proc.stdout.pause()
+                if (!agent.throttleTimer) {
+                    this.releaseHeld(agent)
                 }
             })
 
@@ -359,41 +725,125 @@ export class AgentPool extends EventEmitter {
                 reject(err)
             })
 
-            proc.on("close", (code) => {
+            // Writing to an agent that has died fails with EPIPE - fail the waiting write rather than crash
+            proc.stdin.on("error", (err) => {
+                this.log(`Agent ${index} stdin error:`, err.message)
+                agent.pendingWrite?.reject(new Error(`Agent ${index} connection closed (${err.message})`))
+            })
+
+            proc.on("close", (code, signal) => {
                 clearTimeout(timeout)
                 const stderr = agent.stderrBuffer.trim()
+                agent.closed = `Agent ${index} connection closed (${signal || `code ${code}`})${stderr ? `: ${stderr}` : ""}`
+                // Reject any pending read or write with an error so it doesn't wait forever
+                agent.pendingRead?.reject(new Error(agent.closed))
+                agent.pendingWrite?.reject(new Error(agent.closed))
                 if (!agent.ready) {
                     reject(new Error(`Agent ${index} exited with code ${code}: ${stderr}`))
                 } else {
                     this.log(`Agent ${index} closed with code ${code}${stderr ? ` stderr: ${stderr}` : ""}`)
                     agent.ready = false
-                    // Reject any pending read with an error so it doesn't wait forever
-                    if (agent.pendingRead && agent.pendingRead.reject) {
-                        const errMsg = `Agent ${index} connection closed (code ${code})${stderr ? `: ${stderr}` : ""}`
-                        agent.pendingRead.reject(new Error(errMsg))
-                    }
                     this.emit("tunnel:status", this.getStates())
                 }
             })
 
-            // Verify agent is responsive after brief delay for SSH connection setup
-            setTimeout(async () => {
-                if (agent.ready) return // Already resolved/rejected
-
-                try {
+            // The agent is ready once its hello has arrived and checks out
+            this.handshake(agent, 30000).then(
+                (capabilities) => {
                     clearTimeout(timeout)
-                    await this.pingAgent(agent, 10000) // 10s timeout for initial ping
+                    agent.capabilities = capabilities
                     agent.ready = true
                     this.emit("tunnel:status", this.getStates())
-                    this.log(`Agent ${index} ready (verified via ping)`)
+                    this.log(`Agent ${index} ready (${capabilities.agent} ${capabilities.version} on ${capabilities.platform})`)
                     resolve()
-                } catch (err) {
-                    reject(new Error(`Agent ${index} failed health check: ${err.message}`))
+                },
+                (err) => {
+                    clearTimeout(timeout)
+                    reject(new Error(`Agent ${index} failed handshake: ${err.message}`))
                 }
-            }, 300)
+            )
         })
     }
 
+    // Read the hello an agent sends on startup (see PYTHON_AGENT), returning the capabilities it announces
+    async handshake(agent, timeoutMs) {
+        return this.pipeline(
+            agent,
+            () => {},
+            async () => {
+                const header = await this.readExact(agent, 9, timeoutMs)
+                const dataLen = header.readBigUInt64BE(1)
+                if (header.readUInt8(0) !== 0 || dataLen > MAX_HELLO) {
+                    throw new Error("no hello from the agent - is something on the remote printing to stdout at login?")
+                }
+                const lines = (await this.readExact(agent, Number(dataLen), timeoutMs)).toString().split("\n")
+                if (lines[0] !== "sshget-agent") {
+                    throw new Error("no hello from the agent - is something on the remote printing to stdout at login?")
+                }
+
+                const hello = {}
+                for (const line of lines.slice(1)) {
+                    const eq = line.indexOf("=")
+                    if (eq > 0) {
+                        hello[line.slice(0, eq)] = line.slice(eq + 1)
+                    }
+                }
+                if (Number(hello.protocol) !== PROTOCOL_VERSION) {
+                    throw new Error(
+                        `the ${hello.agent || "remote"} agent speaks protocol version ${hello.protocol}, but this sshget speaks version ${PROTOCOL_VERSION}`
+                    )
+                }
+                return {
+                    protocol: PROTOCOL_VERSION,
+                    agent: hello.agent,
+                    version: hello.version,
+                    platform: hello.platform,
+                    ops: hello.ops || "",
+                    hashes: hello.hashes ? hello.hashes.split(",") : []
+                }
+            }
+        )
+    }
+
+    // Make stdout data available to readers
+    deliver(agent, data) {
+        this.bytesTransferred += data.length
+        agent.readBuffer = Buffer.concat([agent.readBuffer, data])
+        if (agent.pendingRead) {
+            agent.pendingRead.check()
+        }
+    }
+
+    // Pass held stdout data on as the rate limit allows, resuming the stream once it has all gone through.
+    // Releasing it in small slices keeps data trickling to readers, so a low limit doesn't look like a stall
+    releaseHeld(agent) {
+        agent.throttleTimer = null
+        while (agent.held.length > 0) {
+            const next = agent.held[0]
+            const granted = this.rateLimiter.take(next.length)
+            if (granted === 0) break
+            if (granted < next.length) {
+                agent.held[0] = next.subarray(granted)
+                this.deliver(agent, next.subarray(0, granted))
+                break
+            }
+            agent.held.shift()
+            this.deliver(agent, next)
+        }
+
+        if (agent.held.length > 0) {
+            agent.throttleTimer = setTimeout(() => this.releaseHeld(agent), RATE_TICK_MS)
+        } else {
+            agent.process.stdout.resume()
+        }
+    }
+
+    // Change the bandwidth cap (bytes/second, 0 = unlimited) while transfers are running
+    setRateLimit(bytesPerSecond) {
+        this.rateLimiter.setRate(bytesPerSecond)
+        this.log(`Rate limit set to ${this.rateLimiter.rate ? `${this.rateLimiter.rate} bytes/s` : "unlimited"}`)
+    }
+
     // Read exactly n bytes from agent's buffer (with stall timeout)
     // Timeout resets whenever we receive data - only triggers if no data flows for stallTimeoutMs
     readExact(agent, n, stallTimeoutMs = 30000) {
@@ -451,37 +901,83 @@ export class AgentPool extends EventEmitter {
             resetTimer()
             agent.pendingRead = { check, reject: doReject }
             check()
+            // Nothing more will arrive from an agent that has gone (past what the rate limit is still holding)
+            if (!resolved && agent.closed && agent.held.length === 0) {
+                doReject(new Error(agent.closed))
+            }
         })
     }
 
+    // Issue one request on an agent's connection. send() writes the request and receive() reads its response;
+    // requests are written back to back without waiting for earlier responses, and responses are read strictly in
+    // the order the requests went out, so the agent always has the next request queued on its stdin. A failure
+    // that leaves part of a response unread (anything but an error the agent reported) desyncs the stream, and
+    // every request still queued behind it fails too
+    pipeline(agent, send, receive) {
+        const sent = agent.sendQueue.then(() => {
+            if (agent.desynced) {
+                throw new Error(`Agent ${agent.id} stream out of sync: ${agent.desynced}`)
+            }
+            return send()
+        })
+        agent.sendQueue = sent.catch(() => {})
+
+        const received = agent.recvQueue.then(async () => {
+            await sent
+            if (agent.desynced) {
+                throw new Error(`Agent ${agent.id} stream out of sync: ${agent.desynced}`)
+            }
+            return receive()
+        })
+        agent.recvQueue = received.catch((err) => {
+            if (!err.remote && !agent.desynced) {
+                agent.desynced = err.message
+                this.markUnhealthy(agent.id, err.message)
+            }
+        })
+        return received
+    }
+
     // Read a byte range from a file, streaming chunks to callback
     // stallTimeoutMs: how long to wait with no data before considering it stalled
     async readRangeStreaming(agent, remotePath, offset, length, onData, stallTimeoutMs = 30000) {
         const startTime = Date.now()
 
-        // Build and send request: path_len(2) + path + offset(8) + length(8)
-        const pathBuf = Buffer.from(remotePath, "utf8")
-        const request = Buffer.alloc(2 + pathBuf.length + 16)
-        request.writeUInt16BE(pathBuf.length, 0)
-        pathBuf.copy(request, 2)
-        request.writeBigUInt64BE(BigInt(offset), 2 + pathBuf.length)
-        request.writeBigUInt64BE(BigInt(length), 2 + pathBuf.length + 8)
-
-        agent.process.stdin.write(request)
+        // Build and send read request: offset(8) + length(8)
+        const fields = Buffer.alloc(16)
+        fields.writeBigUInt64BE(BigInt(offset), 0)
+        fields.writeBigUInt64BE(BigInt(length), 8)
+
+        const { dataLen, chunkCount } = await this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("R", remotePath, fields)),
+            async () => {
+                // Read response header: status(1) + length(8)
+                const respHeader = await this.readExact(agent, 9, stallTimeoutMs)
+                const status = respHeader.readUInt8(0)
+                const dataLen = Number(respHeader.readBigUInt64BE(1))
+
+                this.log(
+                    `Agent ${agent.id}: got response header in ${Date.now() - startTime}ms, status=${status}, dataLen=${dataLen}`
+                )
 
-        // Read response header: status(1) + length(8)
-        const respHeader = await this.readExact(agent, 9, stallTimeoutMs)
-        const status = respHeader.readUInt8(0)
-        const dataLen = Number(respHeader.readBigUInt64BE(1))
+                if (status !== 0) {
+                    const errData = await this.readExact(agent, dataLen, stallTimeoutMs)
+                    throw remoteError(errData.toString())
+                }
 
-        this.log(`Agent ${agent.id}: got response header in ${Date.now() - startTime}ms, status=${status}, dataLen=${dataLen}`)
+                return { dataLen, chunkCount: await this.streamData(agent, dataLen, onData, stallTimeoutMs, remotePath) }
+            }
+        )
 
-        if (status !== 0) {
-            const errData = await this.readExact(agent, dataLen, stallTimeoutMs)
-            throw new Error(errData.toString())
-        }
+        const elapsed = Date.now() - startTime
+        const speedMBs = (dataLen / (1024 * 1024) / (elapsed / 1000)).toFixed(2)
+        this.log(`Agent ${agent.id}: transferred ${dataLen} bytes in ${chunkCount} chunks, ${elapsed}ms (${speedMBs} MB/s)`)
+    }
 
-        // Stream data in chunks as they arrive (with stall detection)
+    // Pass the next dataLen bytes of response data to onData as they arrive (with stall detection)
+    // Returns the number of chunks delivered
+    async streamData(agent, dataLen, onData, stallTimeoutMs, remotePath) {
         let remaining = dataLen
         let chunkCount = 0
         let lastProgressTime = Date.now()
@@ -530,6 +1026,9 @@ export class AgentPool extends EventEmitter {
 
                     agent.pendingRead = { check, reject: doReject }
                     check()
+                    if (!resolved && agent.closed && agent.held.length === 0) {
+                        doReject(new Error(agent.closed))
+                    }
                 })
             }
 
@@ -543,101 +1042,331 @@ export class AgentPool extends EventEmitter {
             onData(chunk)
         }
 
-        const elapsed = Date.now() - startTime
-        const speedMBs = (dataLen / (1024 * 1024) / (elapsed / 1000)).toFixed(2)
-        this.log(`Agent ${agent.id}: transferred ${dataLen} bytes in ${chunkCount} chunks, ${elapsed}ms (${speedMBs} MB/s)`)
+        return chunkCount
     }
 
-    // Health check: verify agent responds to a minimal request
-    // Reads 0 bytes from /dev/null which should return immediately
-    async pingAgent(agent, timeoutMs = 5000) {
-        const pathBuf = Buffer.from("/dev/null", "utf8")
-        const request = Buffer.alloc(2 + pathBuf.length + 16)
-        request.writeUInt16BE(pathBuf.length, 0)
-        pathBuf.copy(request, 2)
-        request.writeBigUInt64BE(0n, 2 + pathBuf.length) // offset 0
-        request.writeBigUInt64BE(0n, 2 + pathBuf.length + 8) // length 0
+    // Read several whole files with a single batch request
+    // handlers.onStart(index, size), onData(index, chunk) and onEnd(index) are called for each file that can be
+    // read; handlers.onError(index, message) for each one that can't, without failing the rest of the batch
+    async readBatchStreaming(agent, remotePaths, handlers, stallTimeoutMs = 30000) {
+        const startTime = Date.now()
+
+        const fields = [Buffer.alloc(4)]
+        fields[0].writeUInt32BE(remotePaths.length, 0)
+        for (const remotePath of remotePaths) {
+            const pathBuf = Buffer.isBuffer(remotePath) ? remotePath : Buffer.from(remotePath, "utf8")
+            const lenBuf = Buffer.alloc(2)
+            lenBuf.writeUInt16BE(pathBuf.length, 0)
+            fields.push(lenBuf, pathBuf)
+        }
+        const totalBytes = await this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("B", "", Buffer.concat(fields))),
+            async () => {
+                let totalBytes = 0
+                for (let i = 0; i < remotePaths.length; i++) {
+                    const respHeader = await this.readExact(agent, 9, stallTimeoutMs)
+                    const status = respHeader.readUInt8(0)
+                    const dataLen = Number(respHeader.readBigUInt64BE(1))
+
+                    if (status !== 0) {
+                        const errData = await this.readExact(agent, dataLen, stallTimeoutMs)
+                        handlers.onError(i, errData.toString())
+                        continue
+                    }
 
-        agent.process.stdin.write(request)
+                    handlers.onStart(i, dataLen)
+                    await this.streamData(agent, dataLen, (chunk) => handlers.onData(i, chunk), stallTimeoutMs, remotePaths[i])
+                    handlers.onEnd(i)
+                    totalBytes += dataLen
+                }
+                return totalBytes
+            }
+        )
 
-        // Read response header: status(1) + length(8)
-        const respHeader = await this.readExact(agent, 9, timeoutMs)
+        const elapsed = Date.now() - startTime
+        this.log(`Agent ${agent.id}: batch of ${remotePaths.length} files, ${totalBytes} bytes in ${elapsed}ms`)
+    }
+
+    // Read a status-only response (create/write/finalize), throwing the agent's error message on failure
+    async readStatus(agent, stallTimeoutMs = 30000) {
+        const respHeader = await this.readExact(agent, 9, stallTimeoutMs)
         const status = respHeader.readUInt8(0)
         const dataLen = Number(respHeader.readBigUInt64BE(1))
 
+        const data = dataLen > 0 ? await this.readExact(agent, dataLen, stallTimeoutMs) : null
         if (status !== 0) {
-            const errData = await this.readExact(agent, dataLen, timeoutMs)
-            throw new Error(`Agent ping failed: ${errData.toString()}`)
+            throw remoteError(data ? data.toString() : `Agent ${agent.id} request failed`)
         }
+    }
 
-        // Should be 0 bytes of data (we asked for 0)
-        if (dataLen !== 0) {
-            // Drain any unexpected data
-            await this.readExact(agent, dataLen, timeoutMs)
+    // Write to the agent's stdin, waiting for drain when the pipe is backed up. Fails straight away once the agent
+    // has gone - a dead process never drains, and its close event has already fired
+    writeToAgent(agent, data) {
+        const proc = agent.process
+        if (agent.closed || proc.stdin.destroyed || proc.exitCode !== null || proc.signalCode !== null) {
+            return Promise.reject(new Error(agent.closed || `Agent ${agent.id} connection closed`))
+        }
+        if (proc.stdin.write(data)) {
+            return Promise.resolve()
         }
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                agent.pendingWrite = null
+                resolve()
+            }
+            proc.stdin.once("drain", onDrain)
+            agent.pendingWrite = {
+                reject: (err) => {
+                    proc.stdin.off("drain", onDrain)
+                    agent.pendingWrite = null
+                    reject(err)
+                }
+            }
+        })
+    }
 
-        return true
+    // Create (or truncate) a remote file of the given size, creating parent directories as needed
+    async createRemoteFile(agent, remotePath, size, stallTimeoutMs = 30000) {
+        const fields = Buffer.alloc(8)
+        fields.writeBigUInt64BE(BigInt(size), 0)
+        await this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("T", remotePath, fields)),
+            () => this.readStatus(agent, stallTimeoutMs)
+        )
+    }
+
+    // Write a byte range into an existing remote file, pulling data from readChunk(size)
+    // readChunk must return a Buffer of exactly the requested size
+    async writeRangeStreaming(agent, remotePath, offset, length, readChunk, onData, stallTimeoutMs = 30000) {
+        const startTime = Date.now()
+
+        const fields = Buffer.alloc(16)
+        fields.writeBigUInt64BE(BigInt(offset), 0)
+        fields.writeBigUInt64BE(BigInt(length), 8)
+        await this.pipeline(
+            agent,
+            async () => {
+                await this.writeToAgent(agent, buildRequest("W", remotePath, fields))
+
+                let remaining = length
+                while (remaining > 0) {
+                    const size = Math.min(WRITE_CHUNK, remaining)
+                    await this.rateLimiter.consume(size)
+                    const chunk = readChunk(size)
+                    await this.writeToAgent(agent, chunk)
+                    this.bytesTransferred += chunk.length
+                    remaining -= chunk.length
+                    onData(chunk)
+                }
+            },
+            // The agent acknowledges once everything has been written
+            () => this.readStatus(agent, stallTimeoutMs)
+        )
+
+        const elapsed = Date.now() - startTime
+        const speedMBs = (length / (1024 * 1024) / (elapsed / 1000)).toFixed(2)
+        this.log(`Agent ${agent.id}: uploaded ${length} bytes in ${elapsed}ms (${speedMBs} MB/s)`)
+    }
+
+    // Apply mode/mtime to a remote temp file and atomically rename it into place
+    async finalizeRemoteFile(agent, tempPath, remotePath, mode, mtime, stallTimeoutMs = 30000) {
+        const destBuf = Buffer.from(remotePath, "utf8")
+        const fields = Buffer.alloc(2 + destBuf.length + 12)
+        fields.writeUInt16BE(destBuf.length, 0)
+        destBuf.copy(fields, 2)
+        fields.writeUInt32BE(mode & 0o7777, 2 + destBuf.length)
+        fields.writeBigUInt64BE(BigInt(Math.floor(mtime)), 2 + destBuf.length + 4)
+        await this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("F", tempPath, fields)),
+            () => this.readStatus(agent, stallTimeoutMs)
+        )
     }
 
-    // List remote files (using execRemote, same as before)
-    async listRemoteFiles(path) {
-        const isDir = await this.execRemote(`test -d ${JSON.stringify(path)} && echo "dir" || echo "file"`)
+    // Compute a digest of a remote byte range, returning it as a hex string
+    async hashRange(agent, remotePath, offset, length, algorithm, stallTimeoutMs = 30000) {
+        const algoBuf = Buffer.from(algorithm, "ascii")
+        const fields = Buffer.alloc(17 + algoBuf.length)
+        fields.writeBigUInt64BE(BigInt(offset), 0)
+        fields.writeBigUInt64BE(BigInt(length), 8)
+        fields.writeUInt8(algoBuf.length, 16)
+        algoBuf.copy(fields, 17)
+
+        const timeoutMs = stallTimeoutMs + Math.ceil(length / HASH_BYTES_PER_MS)
+        return this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("H", remotePath, fields)),
+            async () => {
+                const respHeader = await this.readExact(agent, 9, timeoutMs)
+                const status = respHeader.readUInt8(0)
+                const dataLen = Number(respHeader.readBigUInt64BE(1))
+                const data = await this.readExact(agent, dataLen, stallTimeoutMs)
+
+                if (status !== 0) {
+                    throw remoteError(`Remote hash failed: ${data.toString()}`)
+                }
+                return data.toString("ascii")
+            }
+        )
+    }
 
-        // Detect which stat syntax to use (GNU vs BSD)
-        const statCheck = await this.execRemote('stat -c "%s" /dev/null >/dev/null 2>&1 && echo "gnu" || echo "bsd"')
-        const isGnu = statCheck.trim() === "gnu"
+    // Walk a remote path on an agent, returning every entry (root first) with binary-safe paths
+    async listRemoteEntries(agent, remotePath, options = {}, stallTimeoutMs = 30000) {
+        const rules = options.filter ? options.filter.encode() : Buffer.alloc(2) // No rules
+        const fields = Buffer.concat([Buffer.from([options.followLinks ? 1 : 0]), rules])
+        return this.pipeline(
+            agent,
+            () => this.writeToAgent(agent, buildRequest("L", remotePath, fields)),
+            async () => {
+                const entries = []
+                for (;;) {
+                    const header = await this.readExact(agent, 9, stallTimeoutMs)
+                    const status = header.readUInt8(0)
+                    const blockLen = Number(header.readBigUInt64BE(1))
+
+                    if (status !== 0) {
+                        const errData = await this.readExact(agent, blockLen, stallTimeoutMs)
+                        throw remoteError(`Cannot list ${remotePath}: ${errData.toString()}`)
+                    }
+                    if (blockLen === 0) {
+                        break
+                    }
 
-        if (isDir.trim() === "file") {
-            const statCmd = isGnu ? `stat -c"%s %a %Y" ${JSON.stringify(path)}` : `stat -f"%z %Lp %m" ${JSON.stringify(path)}`
-            const statOutput = await this.execRemote(statCmd)
-            const [size, mode, mtime] = statOutput.trim().split(" ")
-            const name = path.split("/").pop()
-            return [
-                {
-                    path: name,
-                    fullPath: path,
-                    size: parseInt(size, 10),
-                    mode: parseInt(mode, 8),
-                    mtime: parseInt(mtime, 10)
+                    const block = await this.readExact(agent, blockLen, stallTimeoutMs)
+                    let pos = 0
+                    while (pos < block.length) {
+                        const type = ENTRY_TYPES[String.fromCharCode(block[pos])] || "other"
+                        const flags = block.readUInt8(pos + 1)
+                        const mode = block.readUInt32BE(pos + 2)
+                        const size = Number(block.readBigUInt64BE(pos + 6))
+                        const mtime = Number(block.readBigUInt64BE(pos + 14))
+                        const pathLen = block.readUInt16BE(pos + 22)
+                        pos += 24
+                        // Copy so the record doesn't pin the whole block in memory
+                        const rawPath = Buffer.from(block.subarray(pos, pos + pathLen))
+                        pos += pathLen
+
+                        const entry = {
+                            type,
+                            rawPath,
+                            size,
+                            mode,
+                            mtime,
+                            followed: (flags & 1) !== 0,
+                            unresolved: (flags & 2) !== 0
+                        }
+                        if (type === "symlink") {
+                            const targetLen = block.readUInt16BE(pos)
+                            entry.target = Buffer.from(block.subarray(pos + 2, pos + 2 + targetLen))
+                            pos += 2 + targetLen
+                        }
+                        entries.push(entry)
+                    }
                 }
-            ]
+
+                return entries
+            }
+        )
+    }
+
+    // List a remote path over an already-connected agent
+    // Returns { isDirectory, files, directories, links, followedLinks } - files are regular files, directories
+    // includes the root itself (path ""), and links are symlinks that were not followed, all with paths relative
+    // to the root; followedLinks counts links resolved while walking. Options: followLinks, and filter - a PathFilter
+    // whose excluded entries (and everything under excluded directories) are left out
+    async listRemote(path, options = {}) {
+        const agent = this.acquire()
+        if (!agent) {
+            throw new Error("No agent available for listing")
         }
 
-        const statFormat = isGnu ? 'stat -c"%s %a %Y %n"' : 'stat -f"%z %Lp %m %N"'
-        // Use + instead of \; to batch files into fewer stat calls (much faster for many files)
-        const output = await this.execRemote(`find -P ${JSON.stringify(path)} -type f -exec ${statFormat} {} +`)
+        let entries
+        try {
+            entries = await this.listRemoteEntries(agent, path, options)
+        } finally {
+            this.release(agent.id)
+        }
 
-        if (!output.trim()) {
-            return []
+        const [root, ...children] = entries
+        const filter = options.filter
+        if (root.type !== "directory") {
+            const name = path.split("/").pop()
+            // A file given as a source (or matched by a wildcard) is filtered by its name
+            const files =
+                root.type === "file" && !filter?.excludes(name, false)
+                    ? [
+                          {
+                              path: name,
+                              fullPath: path,
+                              rawPath: Buffer.from(path, "utf8"),
+                              size: root.size,
+                              mode: root.mode,
+                              mtime: root.mtime
+                          }
+                      ]
+                    : []
+            return { isDirectory: false, files, directories: [], links: [], followedLinks: 0 }
         }
 
+        // Children are joined to the root exactly as given, minus any trailing slash
+        const rootPath = path.length > 1 ? path.replace(/\/+$/, "") : path
+        const rootBuf = Buffer.from(rootPath === "/" ? "" : rootPath, "utf8")
         const files = []
-        const lines = output.trim().split("\n")
-
-        for (const line of lines) {
-            const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)\s+(.+)$/)
-            if (match) {
-                const size = parseInt(match[1], 10)
-                const mode = parseInt(match[2], 8)
-                const mtime = parseInt(match[3], 10)
-                const fullPath = match[4]
-                const relativePath = fullPath.startsWith(path) ? fullPath.slice(path.length).replace(/^\//, "") : fullPath
-                files.push({
-                    path: relativePath,
-                    fullPath,
-                    size,
-                    mode,
-                    mtime
-                })
+        const directories = [
+            {
+                path: "",
+                fullPath: rootPath,
+                rawPath: Buffer.from(rootPath, "utf8"),
+                size: root.size,
+                mode: root.mode,
+                mtime: root.mtime
+            }
+        ]
+        const links = []
+        let followedLinks = 0
+        // The agent has already applied the filter, but not every agent can - so it's applied again here. Parents
+        // come before their children, so excluded directories can be tracked as they go by
+        const excludedDirs = new Set()
+        for (const entry of children) {
+            if (filter) {
+                const relative = entry.rawPath.toString("utf8")
+                const parent = relative.includes("/") ? relative.slice(0, relative.lastIndexOf("/")) : null
+                if ((parent !== null && excludedDirs.has(parent)) || filter.excludes(relative, entry.type === "directory")) {
+                    if (entry.type === "directory") excludedDirs.add(relative)
+                    continue
+                }
+            }
+            if (entry.followed) followedLinks++
+            if (entry.type === "other") continue
+
+            const rawPath = Buffer.concat([rootBuf, Buffer.from("/"), entry.rawPath])
+            const record = {
+                path: entry.rawPath.toString("utf8"),
+                fullPath: rawPath.toString("utf8"),
+                rawPath,
+                size: entry.size,
+                mode: entry.mode,
+                mtime: entry.mtime
+            }
+            if (entry.type === "symlink") {
+                record.target = entry.target
+                record.unresolved = entry.unresolved
+                links.push(record)
+            } else if (entry.type === "directory") {
+                directories.push(record)
+            } else {
+                files.push(record)
             }
         }
 
-        return files
+        return { isDirectory: true, files, directories, links, followedLinks }
     }
 
     async getRemotePathInfo(path) {
         try {
-            const isDir = await this.execRemote(`test -d ${JSON.stringify(path)} && echo "dir" || echo "file"`)
+            const isDir = await this.execRemote(`test -d ${shellEscape(path)} && echo "dir" || echo "file"`)
             return {
                 exists: true,
                 isDirectory: isDir.trim() === "dir"
@@ -660,17 +1389,41 @@ export class AgentPool extends EventEmitter {
         }
     }
 
-    // Acquire an available healthy agent for file transfer
+    // Best-effort removal of remote files (used to clean up upload temp files)
+    async removeRemoteFiles(paths) {
+        if (paths.length === 0) return
+        try {
+            await this.execRemote(`rm -f ${paths.map(shellEscape).join(" ")}`)
+        } catch (err) {
+            this.log("Warning: could not remove remote files:", err.message)
+        }
+    }
+
+    // Acquire a healthy agent for file transfer - the least loaded one, as long as it has fewer than pipelineDepth
+    // jobs, so a new job's requests queue up behind the current ones instead of waiting for them to finish
     acquire() {
-        const available = this.agents.find((a) => a.ready && !a.busy && !a.unhealthy)
+        let available = null
+        for (const a of this.agents) {
+            if (!a.ready || a.unhealthy || a.inflight >= this.pipelineDepth) continue
+            if (!available || a.inflight < available.inflight) {
+                available = a
+            }
+        }
         if (!available) {
             return null
         }
+        available.inflight++
         available.busy = true
+        available.lastActive = Date.now()
         this.emit("tunnel:status", this.getStates())
         return available
     }
 
+    // Whether some healthy agent has no job at all
+    hasIdleAgent() {
+        return this.agents.some((a) => a.ready && a.inflight === 0 && !a.unhealthy)
+    }
+
     // Mark an agent as unhealthy (stalled, errored, etc.)
     markUnhealthy(id, reason) {
         const agent = this.agents.find((a) => a.id === id)
@@ -694,8 +1447,12 @@ export class AgentPool extends EventEmitter {
     release(id) {
         const agent = this.agents.find((a) => a.id === id)
         if (agent) {
-            agent.busy = false
-            agent.jobInfo = null
+            agent.inflight = Math.max(0, agent.inflight - 1)
+            agent.busy = agent.inflight > 0
+            agent.lastActive = Date.now()
+            if (!agent.busy) {
+                agent.jobInfo = null
+            }
             this.emit("tunnel:status", this.getStates())
         }
     }
@@ -713,6 +1470,7 @@ export class AgentPool extends EventEmitter {
             id: a.id,
             ready: a.ready,
             busy: a.busy,
+            inflight: a.inflight,
             unhealthy: a.unhealthy || false,
             unhealthyReason: a.unhealthyReason || null,
             jobInfo: a.jobInfo
@@ -721,8 +1479,13 @@ export class AgentPool extends EventEmitter {
 
     async close() {
         this.connected = false
+        if (this.scaler) {
+            this.scaler.stop()
+            this.scaler = null
+        }
 
         for (const agent of this.agents) {
+            clearTimeout(agent.throttleTimer)
             if (agent.process && !agent.process.killed) {
                 agent.process.stdin.end()
                 agent.process.kill("SIGTERM")
@@ -737,6 +1500,9 @@ export class AgentPool extends EventEmitter {
             }
         }
 
+        // Agents are gone, so nothing is using the transport any more
+        await this.transport.close()
+
         this.agents = []
         this.emit("closed")
     }
@@ -1,11 +1,17 @@
 import fs from "fs"
+import { createHash } from "crypto"
 import { mkdir } from "fs/promises"
 import { dirname } from "path"
 import { log as fileLog } from "./Logger.js"
 
+// Largest single read request issued for a range job - also the granularity at which work can be stolen
+export const RANGE_REQUEST_SIZE = 8 * 1024 * 1024
+
 export class Downloader {
     constructor(options = {}) {
         this.verbose = options.verbose || false
+        this.verify = options.verify || null // Hash algorithm for checksum verification, or null
+        this.backupSuffix = options.backupSuffix || null // Move a file about to be overwritten to its name + this
     }
 
     log(...args) {
@@ -19,6 +25,10 @@ export class Downloader {
         await mkdir(dir, { recursive: true })
     }
 
+    async createDirectory(localPath) {
+        await mkdir(localPath, { recursive: true })
+    }
+
     async downloadFile(options) {
         const { agentPool, agent, remotePath, localPath, fileSize, mode, mtime, onProgress } = options
 
@@ -29,11 +39,13 @@ export class Downloader {
         this.log("Downloading:", remotePath, "to", tempPath)
 
         const fd = fs.openSync(tempPath, "w")
+        const hash = this.verify ? createHash(this.verify) : null
         let bytesWritten = 0
 
         try {
             await agentPool.readRangeStreaming(agent, remotePath, 0, fileSize, (chunk) => {
                 fs.writeSync(fd, chunk, 0, chunk.length, null)
+                hash?.update(chunk)
                 bytesWritten += chunk.length
                 if (onProgress) {
                     onProgress(chunk.length)
@@ -43,8 +55,13 @@ export class Downloader {
             fs.closeSync(fd)
         }
 
+        // Compare against the remote digest before the temp file is moved into place
+        if (hash) {
+            await this.verifyDigest(agentPool, agent, remotePath, 0, fileSize, hash.digest("hex"))
+        }
+
         // Rename temp to final
-        fs.renameSync(tempPath, localPath)
+        this.moveIntoPlace(tempPath, localPath)
 
         // Preserve permissions and timestamps
         this.applyMetadata(localPath, mode, mtime)
@@ -53,39 +70,164 @@ export class Downloader {
         return { bytesReceived: bytesWritten }
     }
 
+    // Download several small files with one batch request. Files that fail (unreadable on the remote, or a checksum
+    // mismatch) are returned in failed rather than thrown, so the caller can retry them individually; entry.done is
+    // set on each file that completed, so a batch retried after an agent failure can skip them
+    async downloadBatch(options) {
+        const { agentPool, agent, entries, onFileStart, onProgress, onFileComplete } = options
+
+        this.log("Downloading batch of", entries.length, "files")
+
+        const dirs = new Set()
+        for (const entry of entries) {
+            const dir = dirname(entry.localPath)
+            if (!dirs.has(dir)) {
+                dirs.add(dir)
+                await mkdir(dir, { recursive: true })
+            }
+        }
+
+        const failed = []
+        const received = []
+        let fd = null
+        let hash = null
+
+        const finishFile = (entry) => {
+            this.moveIntoPlace(`${entry.localPath}.sshget.tmp`, entry.localPath)
+            this.applyMetadata(entry.localPath, entry.mode, entry.mtime)
+            entry.done = true
+            onFileComplete(entry)
+        }
+
+        try {
+            await agentPool.readBatchStreaming(
+                agent,
+                entries.map((e) => e.remotePath),
+                {
+                    onStart: (i) => {
+                        fd = fs.openSync(`${entries[i].localPath}.sshget.tmp`, "w")
+                        hash = this.verify ? createHash(this.verify) : null
+                        entries[i].bytesWritten = 0
+                        onFileStart(entries[i])
+                    },
+                    onData: (i, chunk) => {
+                        fs.writeSync(fd, chunk, 0, chunk.length, null)
+                        hash?.update(chunk)
+                        entries[i].bytesWritten += chunk.length
+                        onProgress(entries[i], chunk.length)
+                    },
+                    onEnd: (i) => {
+                        fs.closeSync(fd)
+                        fd = null
+                        if (hash) {
+                            // Verified after the batch, once the agent is free for hash requests
+                            entries[i].digest = hash.digest("hex")
+                            received.push(entries[i])
+                        } else {
+                            finishFile(entries[i])
+                        }
+                    },
+                    onError: (i, message) => {
+                        failed.push({ entry: entries[i], error: new Error(message) })
+                    }
+                }
+            )
+        } finally {
+            if (fd !== null) {
+                fs.closeSync(fd)
+            }
+        }
+
+        for (const entry of received) {
+            try {
+                await this.verifyDigest(agentPool, agent, entry.remotePath, 0, entry.bytesWritten, entry.digest)
+            } catch (err) {
+                if (!err.message.startsWith("Checksum mismatch")) throw err
+                failed.push({ entry, error: err })
+                continue
+            }
+            finishFile(entry)
+        }
+
+        this.log("Downloaded batch:", entries.length - failed.length, "of", entries.length, "files")
+        return { failed }
+    }
+
+    // Download a byte range into the preallocated temp file. The range object's rangeEnd may shrink while this
+    // runs (another agent stealing the tail), so it is fetched in RANGE_REQUEST_SIZE pieces and re-checked between
+    // them; range.requestedEnd marks how far requests have been issued, and nothing past it may be stolen.
+    // Up to the pool's pipeline depth of pieces are kept in flight, so the agent never waits for the next request
     async downloadRange(options) {
-        const { agentPool, agent, remotePath, localPath, rangeStart, rangeEnd, onProgress } = options
+        const { agentPool, agent, remotePath, localPath, range, onProgress } = options
+        const { rangeStart } = range
 
         const tempPath = `${localPath}.sshget.tmp`
 
         await this.ensureDir(localPath)
 
-        const length = rangeEnd - rangeStart + 1
-
-        this.log("Downloading range:", remotePath, `bytes=${rangeStart}-${rangeEnd}`)
+        this.log("Downloading range:", remotePath, `bytes=${rangeStart}-${range.rangeEnd}`)
 
         // Open temp file for random access writing at the chunk position
         const fd = fs.openSync(tempPath, "r+")
-        let position = rangeStart
+        const hash = this.verify ? createHash(this.verify) : null
+        const inFlight = []
         let bytesWritten = 0
+        range.requestedEnd = rangeStart - 1
 
-        try {
-            await agentPool.readRangeStreaming(agent, remotePath, rangeStart, length, (chunk) => {
+        const requestNext = () => {
+            const requestStart = range.requestedEnd + 1
+            const length = Math.min(RANGE_REQUEST_SIZE, range.rangeEnd - requestStart + 1)
+            range.requestedEnd = requestStart + length - 1
+            let position = requestStart
+
+            // Responses arrive in request order, so the hash still sees the range sequentially
+            const request = agentPool.readRangeStreaming(agent, remotePath, requestStart, length, (chunk) => {
                 fs.writeSync(fd, chunk, 0, chunk.length, position)
-                position += chunk.length
-                bytesWritten += chunk.length
+                hash?.update(chunk)
                 if (onProgress) {
-                    onProgress(chunk.length)
+                    onProgress(chunk.length, position)
                 }
+                position += chunk.length
+                bytesWritten += chunk.length
             })
+            // Awaited in turn below - don't let a queued failure go unhandled meanwhile
+            request.catch(() => {})
+            inFlight.push(request)
+        }
+
+        try {
+            while (range.requestedEnd < range.rangeEnd || inFlight.length > 0) {
+                while (inFlight.length < agentPool.pipelineDepth && range.requestedEnd < range.rangeEnd) {
+                    requestNext()
+                }
+                await inFlight.shift()
+            }
         } finally {
+            // Let anything still queued finish writing before the file is closed under it
+            await Promise.allSettled(inFlight)
             fs.closeSync(fd)
         }
 
-        this.log("Downloaded range:", rangeStart, "-", rangeEnd, ":", bytesWritten, "bytes")
+        if (hash) {
+            await this.verifyDigest(agentPool, agent, remotePath, rangeStart, range.rangeEnd - rangeStart + 1, hash.digest("hex"))
+        }
+
+        this.log("Downloaded range:", rangeStart, "-", range.rangeEnd, ":", bytesWritten, "bytes")
         return { bytesReceived: bytesWritten }
     }
 
+    // Throws if the remote digest of the range differs from what was received
+    async verifyDigest(agentPool, agent, remotePath, offset, length, localDigest) {
+        const remoteDigest = await agentPool.hashRange(agent, remotePath, offset, length, this.verify)
+        if (remoteDigest !== localDigest) {
+            throw new Error(
+                `Checksum mismatch for ${remotePath} bytes=${offset}-${offset + length - 1}: ` +
+                    `local ${this.verify}=${localDigest}, remote ${this.verify}=${remoteDigest}`
+            )
+        }
+        this.log("Verified:", remotePath, `bytes=${offset}-${offset + length - 1}`, `${this.verify}=${localDigest}`)
+    }
+
     async preallocateFile(localPath, size) {
         const tempPath = `${localPath}.sshget.tmp`
 
@@ -101,7 +243,7 @@ export class Downloader {
 
     async finalizeFile(localPath, mode, mtime) {
         const tempPath = `${localPath}.sshget.tmp`
-        fs.renameSync(tempPath, localPath)
+        this.moveIntoPlace(tempPath, localPath)
 
         // Preserve permissions and timestamps
         this.applyMetadata(localPath, mode, mtime)
@@ -109,6 +251,35 @@ export class Downloader {
         this.log("Finalized:", localPath)
     }
 
+    // Rename a finished temp file to its final name - keeping the file it replaces under a backup name, if asked to.
+    // The old file is only moved aside once the new one is complete
+    moveIntoPlace(tempPath, localPath) {
+        if (this.backupSuffix && fs.existsSync(localPath)) {
+            fs.renameSync(localPath, `${localPath}${this.backupSuffix}`)
+            this.log("Backed up:", localPath)
+        }
+        fs.renameSync(tempPath, localPath)
+    }
+
+    // Recreate a remote symlink locally with its original target, replacing whatever is at localPath
+    async createSymlink(localPath, target) {
+        await this.ensureDir(localPath)
+
+        try {
+            const existing = fs.lstatSync(localPath)
+            if (existing.isSymbolicLink() && fs.readlinkSync(localPath, { encoding: "buffer" }).equals(target)) {
+                this.log("Symlink already up to date:", localPath)
+                return
+            }
+            fs.unlinkSync(localPath)
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err
+        }
+
+        fs.symlinkSync(target, localPath)
+        this.log("Created symlink:", localPath, "->", target)
+    }
+
     applyMetadata(localPath, mode, mtime) {
         try {
             if (mode !== undefined) {
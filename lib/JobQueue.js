@@ -0,0 +1,178 @@
+import { log as fileLog } from "./Logger.js"
+
+// Runs transfer jobs on the agents of their pools - downloads and uploads alike. A job is any object with pool (the
+// pool it runs on) and, when several could take it (mirrored downloads), pools. Queued jobs start as soon as one of
+// their pools has an agent free; a failed job is queued again - on another agent, without counting against its
+// retries, when it was the agent that failed - and run() settles once every job is done, or fails with the first job
+// that can't be retried
+export class JobQueue {
+    constructor(options) {
+        this.pools = options.pools // Every pool jobs can run on - new agents in any of them take queued jobs
+        this.execute = options.execute // async (agent, job) - the transfer itself, throwing on failure
+        this.onStart = options.onStart || (() => {}) // (agent, job) just before execute
+        this.onRetry = options.onRetry || (() => {}) // ({ job, error, agentError, attempt }) - see job:retry
+        this.steal = options.steal || (() => false) // Queue more work once nothing queued can start, if it can
+        this.describe = options.describe // job -> description for logs and errors
+        this.aborted = options.aborted || (() => false)
+        this.name = options.name || "Transfer" // Leads the error once a job has failed for good
+        this.maxRetries = options.maxRetries || 3
+        this.verbose = options.verbose || false
+
+        this.pending = []
+        this.active = new Set()
+        this.retries = new Map() // job -> failed attempts that counted
+        this.resolve = null
+        this.reject = null
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            fileLog("JobQueue", ...args)
+        }
+    }
+
+    // Pools a job may run on - its own host's, or any replica's when mirroring
+    poolsOf(job) {
+        return job.pools || [job.pool]
+    }
+
+    // Queue a job - while run() is going it starts once an agent frees up
+    push(job) {
+        this.pending.push(job)
+    }
+
+    // Run the queued jobs, resolving once all are done ({ aborted: true } if aborted first)
+    async run() {
+        const done = new Promise((resolve, reject) => {
+            this.resolve = resolve
+            this.reject = reject
+        })
+
+        // Agents added by tunnels: "auto" can take queued jobs straight away
+        const onAgentAdded = () => setImmediate(() => this.process())
+        for (const pool of this.pools) {
+            pool.on("agent:added", onAgentAdded)
+        }
+
+        this.process()
+
+        try {
+            return await done
+        } finally {
+            for (const pool of this.pools) {
+                pool.off("agent:added", onAgentAdded)
+            }
+        }
+    }
+
+    // Start jobs for available agents, stealing work from slow agents once nothing queued can start
+    process() {
+        if (this.aborted()) {
+            this.resolve({ aborted: true })
+            return
+        }
+
+        for (;;) {
+            let next = this.takeRunnable()
+            if (!next && this.steal()) {
+                next = this.takeRunnable()
+            }
+            if (!next) break
+
+            const { agent, job } = next
+            this.active.add(job)
+            this.onStart(agent, job)
+            this.executeJob(agent, job)
+        }
+
+        if (this.pending.length === 0 && this.active.size === 0) {
+            this.resolve()
+        }
+    }
+
+    // Remove and return the first queued job whose host has an agent free, along with that agent.
+    // Mirrored jobs go to a replica with an idle agent first, so every replica keeps busy
+    takeRunnable() {
+        const fullPools = new Set()
+        for (let i = 0; i < this.pending.length; i++) {
+            const job = this.pending[i]
+            const candidates = this.poolsOf(job).filter((pool) => !fullPools.has(pool))
+            candidates.sort((a, b) => Number(b.hasIdleAgent()) - Number(a.hasIdleAgent()))
+            for (const pool of candidates) {
+                const agent = pool.acquire()
+                if (agent) {
+                    this.pending.splice(i, 1)
+                    job.pool = pool
+                    return { agent, job }
+                }
+                fullPools.add(pool)
+            }
+        }
+        return null
+    }
+
+    async executeJob(agent, job) {
+        try {
+            await this.execute(agent, job)
+        } catch (err) {
+            this.onJobFailed(agent, job, err)
+            return
+        }
+        this.active.delete(job)
+        job.pool.release(agent.id)
+        // Use setImmediate to avoid stack overflow with many files
+        setImmediate(() => this.process())
+    }
+
+    onJobFailed(agent, job, err) {
+        this.active.delete(job)
+        job.pool.release(agent.id)
+
+        const errMsg = err.message || String(err)
+        const isStallError = errMsg.includes("stalled") || errMsg.includes("read timeout")
+        const isAgentError = errMsg.includes("connection closed") || errMsg.includes("Agent") || isStallError
+
+        const jobDesc = this.describe(job)
+        this.log(`Job failed on agent ${agent.id}: ${jobDesc}`)
+        this.log(`  Error: ${errMsg}`)
+        this.log(`  Is stall: ${isStallError}, Is agent error: ${isAgentError}`)
+
+        // If this looks like an agent problem (stall, disconnect), mark agent unhealthy
+        if (isAgentError) {
+            job.pool.markUnhealthy(agent.id, errMsg)
+        }
+
+        // Check if any host the job can run on has healthy agents left
+        const healthyCount = this.poolsOf(job).reduce((sum, pool) => sum + pool.getHealthyCount(), 0)
+        this.log(`  Healthy agents remaining: ${healthyCount}`)
+
+        // An agent error with healthy agents left doesn't count against the job's retries
+        if (isAgentError && healthyCount > 0) {
+            this.log(`  Retrying on different agent (not counting as retry)`)
+            this.onRetry({ job: jobDesc, error: errMsg, agentError: true, attempt: null })
+            this.pending.push(job)
+            setImmediate(() => this.process())
+            return
+        }
+
+        // With no agent left the job could never be picked up again
+        if (healthyCount === 0) {
+            const scope = this.pools.length > 1 ? ` for ${job.pool.target}` : ""
+            this.reject(new Error(`All agents${scope} failed - last error: ${errMsg}`))
+            return
+        }
+
+        const retries = (this.retries.get(job) || 0) + 1
+        this.retries.set(job, retries)
+
+        if (retries < this.maxRetries) {
+            this.log(`  Job error (retry ${retries}/${this.maxRetries}): ${errMsg}`)
+            this.onRetry({ job: jobDesc, error: errMsg, agentError: isAgentError, attempt: retries })
+            this.pending.push(job)
+            setImmediate(() => this.process())
+        } else {
+            this.log(`  Job failed after ${this.maxRetries} retries: ${jobDesc} - ${errMsg}`)
+            this.reject(new Error(`${this.name} failed: ${jobDesc} - ${errMsg}`))
+        }
+    }
+}
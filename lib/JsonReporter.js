@@ -0,0 +1,108 @@
+// Writes a transfer's events as JSON lines - one object per line with the event name, a timestamp and the event's
+// payload - for CI logs and wrapper programs. Progress and tunnel status fire constantly, so they are throttled:
+// at most one line per interval, with the latest values, and the last one is never dropped
+export class JsonReporter {
+    constructor(sshget, options = {}) {
+        this.sshget = sshget
+        this.stream = options.stream || process.stdout
+        this.interval = options.interval ?? 250 // ms between throttled lines of the same event
+
+        this.throttled = new Map() // event -> { lastTime, pending, timer }
+        this.finished = false
+
+        this.attach()
+    }
+
+    attach() {
+        const sshget = this.sshget
+
+        sshget.on("tunnel:ready", (info) => this.write("tunnel:ready", info))
+        sshget.on("tunnel:status", (states) => this.throttle("tunnel:status", { tunnels: states }))
+
+        // The file list can be huge, so only the totals go out
+        sshget.on("start", ({ totalBytes, totalFiles }) => this.write("start", { totalBytes, totalFiles }))
+
+        sshget.on("file:start", ({ file, job }) => this.write("file:start", { file, ...this.describeJob(job) }))
+        // chunkBytes would be misleading once lines are dropped - the running totals carry the progress
+        sshget.on("file:progress", ({ chunkBytes: _chunkBytes, ...progress }) => this.throttle("file:progress", progress))
+        sshget.on("file:complete", (info) => this.write("file:complete", info))
+        sshget.on("file:skip", (info) => this.write("file:skip", info))
+        sshget.on("file:delete", (info) => this.write("file:delete", info))
+        sshget.on("job:retry", (info) => this.write("job:retry", info))
+
+        sshget.on("complete", (info) => {
+            this.flush()
+            this.write("complete", info)
+        })
+        sshget.on("error", (err) => {
+            this.flush()
+            this.write("error", { message: err.message })
+        })
+    }
+
+    // The serializable parts of a job - it also holds pools and file records
+    describeJob(job) {
+        if (!job) return {}
+        if (job.type === "range") {
+            return { type: "range", start: job.rangeStart, end: job.rangeEnd, chunk: job.chunkIndex + 1 }
+        }
+        if (job.type === "batch") {
+            return { type: "batch", files: job.entries.length }
+        }
+        return { type: job.type }
+    }
+
+    write(event, payload = {}) {
+        if (this.finished) return
+        this.stream.write(JSON.stringify({ event, time: Date.now(), ...payload }) + "\n")
+    }
+
+    throttle(event, payload) {
+        let state = this.throttled.get(event)
+        if (!state) {
+            state = { lastTime: 0, pending: null, timer: null }
+            this.throttled.set(event, state)
+        }
+
+        const wait = state.lastTime + this.interval - Date.now()
+        if (wait <= 0) {
+            state.lastTime = Date.now()
+            state.pending = null
+            this.write(event, payload)
+            return
+        }
+
+        // Too soon - keep the latest values and write them when the interval is up
+        state.pending = payload
+        if (!state.timer) {
+            state.timer = setTimeout(() => {
+                state.timer = null
+                if (state.pending) {
+                    state.lastTime = Date.now()
+                    this.write(event, state.pending)
+                    state.pending = null
+                }
+            }, wait)
+            state.timer.unref()
+        }
+    }
+
+    // Write any throttled lines still waiting, so they come before what follows
+    flush() {
+        for (const [event, state] of this.throttled) {
+            clearTimeout(state.timer)
+            state.timer = null
+            if (state.pending) {
+                this.write(event, state.pending)
+                state.pending = null
+            }
+        }
+    }
+
+    // The last line: the process exit status, plus details such as { error } or { aborted: true }
+    finish(status, details = {}) {
+        this.flush()
+        this.write("exit", { status, ...details })
+        this.finished = true
+    }
+}
@@ -17,7 +17,9 @@ export function log(prefix, ...args) {
     if (!logEnabled || !logStream) return
 
     const timestamp = new Date().toISOString()
-    const message = args.map((a) => (typeof a === "object" ? JSON.stringify(a) : String(a))).join(" ")
+    const message = args
+        .map((a) => (Buffer.isBuffer(a) ? a.toString() : typeof a === "object" ? JSON.stringify(a) : String(a)))
+        .join(" ")
 
     logStream.write(`${timestamp} [${prefix}] ${message}\n`)
 }
@@ -0,0 +1,111 @@
+import fs from "fs"
+
+// Translate a glob into regex source that means the same in JavaScript (with the u flag), Python and Perl, so the
+// agents can apply it to their walk: * and ? stay within one path component, ** crosses them, [...] is a class
+// ([!...] negated), and a backslash makes the next character literal
+function globToRegex(glob) {
+    let out = ""
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i]
+        if (c === "*") {
+            if (glob[i + 1] === "*") {
+                out += ".*"
+                i++
+            } else {
+                out += "[^/]*"
+            }
+        } else if (c === "?") {
+            out += "[^/]"
+        } else if (c === "[") {
+            let j = i + 1
+            const negated = glob[j] === "!" || glob[j] === "^"
+            if (negated) j++
+            // A ] straight after the opening bracket (or the !) is a member, not the end
+            const end = glob.indexOf("]", j + 1)
+            if (end === -1) {
+                out += escapeLiteral(c)
+                continue
+            }
+            const members = [...glob.slice(j, end)].map((m) => (/[\\\][^]/.test(m) ? `\\${m}` : m)).join("")
+            // Like * and ?, a negated class never matches the separator
+            out += negated ? `[^${members}/]` : `[${members}]`
+            i = end
+        } else if (c === "\\" && i + 1 < glob.length) {
+            out += escapeLiteral(glob[++i])
+        } else {
+            out += escapeLiteral(c)
+        }
+    }
+    return out
+}
+
+// Only regex syntax characters are escaped - the escapes for those are valid in all three dialects
+function escapeLiteral(c) {
+    return /[\\^$.*+?()[\]{}|/]/.test(c) ? `\\${c}` : c
+}
+
+// rsync-style include/exclude rules for paths relative to a transfer root. Rules are checked in order and the first
+// whose pattern matches decides; a path no rule matches is included. A pattern ending in / only matches directories,
+// one starting with / is anchored at the root, and any other is matched against the end of the path (so a pattern
+// without a slash matches a name at any depth). An excluded directory takes everything under it along
+export class PathFilter {
+    // rules: [{ include: pattern } | { exclude: pattern }, ...]
+    constructor(rules = []) {
+        this.rules = rules.map((rule) => {
+            const include = rule.include !== undefined
+            let pattern = include ? rule.include : rule.exclude
+            if (typeof pattern !== "string" || pattern === "" || pattern === "/") {
+                throw new Error(`Invalid filter rule: ${JSON.stringify(rule)}`)
+            }
+            const dirOnly = pattern.endsWith("/")
+            pattern = pattern.replace(/\/+$/, "")
+            const anchored = pattern.startsWith("/")
+            const source = `${anchored ? "^" : "(?:^|/)"}${globToRegex(pattern.replace(/^\/+/, ""))}$`
+            return { include, dirOnly, source, regex: new RegExp(source, "u") }
+        })
+    }
+
+    // Rules from a file, one pattern per line: excludes, unless prefixed with "+ " (include) - "- " marks an exclude
+    // explicitly. Blank lines and lines starting with # or ; are ignored
+    static readRules(file) {
+        const rules = []
+        for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+            if (line.trim() === "" || /^[#;]/.test(line)) continue
+            if (line.startsWith("+ ")) {
+                rules.push({ include: line.slice(2) })
+            } else {
+                rules.push({ exclude: line.startsWith("- ") ? line.slice(2) : line })
+            }
+        }
+        return rules
+    }
+
+    get empty() {
+        return this.rules.length === 0
+    }
+
+    excludes(relativePath, isDirectory) {
+        for (const rule of this.rules) {
+            if (rule.dirOnly && !isDirectory) continue
+            if (rule.regex.test(relativePath)) {
+                return !rule.include
+            }
+        }
+        return false
+    }
+
+    // Encode the rules for the agent's list op: count(2) + count x (flags(1: 1=include, 2=directories only) +
+    // regex_len(2) + regex)
+    encode() {
+        const parts = [Buffer.alloc(2)]
+        parts[0].writeUInt16BE(this.rules.length)
+        for (const rule of this.rules) {
+            const source = Buffer.from(rule.source, "utf8")
+            const header = Buffer.alloc(3)
+            header.writeUInt8((rule.include ? 1 : 0) | (rule.dirOnly ? 2 : 0), 0)
+            header.writeUInt16BE(source.length, 1)
+            parts.push(header, source)
+        }
+        return Buffer.concat(parts)
+    }
+}
@@ -1,19 +1,42 @@
 import chalk from "chalk"
+import { formatSize } from "./units.js"
+
+// "tty" redraws a full-screen display in place; "plain" writes a status line every so often and a line per finished
+// file, for output going to a log instead of a terminal
+const DISPLAY_MODES = ["tty", "plain"]
 
 export class ProgressDisplay {
     constructor(sshget, options = {}) {
         this.sshget = sshget
         this.verbose = options.verbose || false
         this.showTunnels = options.showTunnels !== false
+        this.mode = options.mode || (process.stdout.isTTY ? "tty" : "plain")
+        if (!DISPLAY_MODES.includes(this.mode)) {
+            throw new Error(`Invalid progress mode: ${this.mode}. Expected one of: ${DISPLAY_MODES.join(", ")}`)
+        }
+        this.plainInterval = options.plainInterval || 10000 // ms between status lines in plain mode
+        this.plainTimer = null
 
         // Source/destination for header
-        const paths = sshget.remotePaths
-        if (paths.length === 1) {
-            this.source = `${sshget.user}@${sshget.host}:${paths[0]}`
+        if (sshget.direction === "upload") {
+            const paths = sshget.localPaths
+            this.source = paths.length === 1 ? paths[0] : `(${paths.length} sources)`
+            this.destination = `${sshget.target}:${sshget.remoteDestination}`
+            this.verb = "Upload"
         } else {
-            this.source = `${sshget.user}@${sshget.host}: (${paths.length} sources)`
+            const paths = sshget.remotePaths
+            if (sshget.mirror) {
+                this.source = `${sshget.target}:${paths[0]} (${sshget.hosts.length} mirrors)`
+            } else if (sshget.hosts?.length > 1) {
+                this.source = `${sshget.hosts.length} hosts (${paths.length} sources)`
+            } else if (paths.length === 1) {
+                this.source = `${sshget.target}:${paths[0]}`
+            } else {
+                this.source = `${sshget.target}: (${paths.length} sources)`
+            }
+            this.destination = sshget.destination
+            this.verb = "Download"
         }
-        this.destination = sshget.destination
 
         this.bytesReceived = 0
         this.totalBytes = 0
@@ -49,7 +72,11 @@ export class ProgressDisplay {
             this.totalBytes = info.totalBytes
             this.totalFiles = info.totalFiles
             this.startTime = Date.now()
-            this.render()
+            if (this.mode === "plain") {
+                this.startPlain()
+            } else {
+                this.render()
+            }
         })
 
         this.sshget.on("tunnel:ready", (info) => {
@@ -75,6 +102,9 @@ export class ProgressDisplay {
 
         this.sshget.on("file:complete", (info) => {
             this.filesCompleted++
+            if (this.mode === "plain") {
+                console.log(`${chalk.green("✓")} ${info.file}`)
+            }
             this.recentFiles.unshift(info.file)
             if (this.recentFiles.length > this.maxRecentFiles) {
                 this.recentFiles.pop()
@@ -82,13 +112,15 @@ export class ProgressDisplay {
             this.throttledRender()
         })
 
-        this.sshget.on("complete", () => {
+        this.sshget.on("complete", (info) => {
             this.finished = true
-            this.printSummary()
+            this.stopPlain()
+            this.printSummary(info)
         })
 
         this.sshget.on("error", (err) => {
             this.finished = true
+            this.stopPlain()
             this.clearScreen()
             console.error(chalk.red(`Error: ${err.message}`))
         })
@@ -117,6 +149,7 @@ export class ProgressDisplay {
     }
 
     throttledRender() {
+        if (this.mode === "plain") return // Status lines come from the timer instead
         const now = Date.now()
         if (now - this.lastRenderTime >= this.renderInterval) {
             this.render()
@@ -125,9 +158,41 @@ export class ProgressDisplay {
     }
 
     clearScreen() {
+        if (this.mode === "plain") return
         process.stdout.write("\x1B[2J\x1B[H")
     }
 
+    startPlain() {
+        const files = this.totalFiles === 1 ? "1 file" : `${this.totalFiles} files`
+        console.log(`${this.verb}: ${this.source} → ${this.destination} (${files}, ${this.formatBytes(this.totalBytes)})`)
+        // On a timer rather than on events, so a stalled transfer still reports in
+        this.plainTimer = setInterval(() => this.renderPlain(), this.plainInterval)
+        this.plainTimer.unref()
+    }
+
+    stopPlain() {
+        clearInterval(this.plainTimer)
+        this.plainTimer = null
+    }
+
+    // One status line: percent, bytes, speed, ETA and files
+    renderPlain() {
+        if (this.finished) return
+
+        this.updateSpeed(0) // Age out the speed window even when nothing has arrived
+        const percent = this.totalBytes > 0 ? (this.bytesReceived / this.totalBytes) * 100 : 0
+        const speed = this.getSpeed()
+        const eta = speed > 0 ? (this.totalBytes - this.bytesReceived) / speed : Infinity
+
+        let line =
+            `${percent.toFixed(1)}% ${this.formatBytes(this.bytesReceived)} / ${this.formatBytes(this.totalBytes)}` +
+            ` ${this.formatBytes(speed)}/s ETA ${this.formatTime(eta)}`
+        if (this.totalFiles > 1) {
+            line += ` files ${this.filesCompleted}/${this.totalFiles}`
+        }
+        console.log(line)
+    }
+
     render() {
         if (this.finished) return
 
@@ -175,26 +240,30 @@ export class ProgressDisplay {
         return chalk.green("█".repeat(filled)) + chalk.dim("░".repeat(empty))
     }
 
-    printSummary() {
+    printSummary(info = {}) {
         this.clearScreen()
 
         const elapsed = (Date.now() - this.startTime) / 1000
         const avgSpeed = elapsed > 0 ? this.bytesReceived / elapsed : 0
 
         console.log(
-            chalk.green("✓") + ` Download complete: ${this.formatBytes(this.bytesReceived)} in ${this.formatTime(elapsed)}`
+            chalk.green("✓") + ` ${this.verb} complete: ${this.formatBytes(this.bytesReceived)} in ${this.formatTime(elapsed)}`
         )
         console.log(chalk.dim(`  Average speed: ${this.formatBytes(avgSpeed)}/s`))
         if (this.totalFiles > 1) {
             console.log(chalk.dim(`  Files: ${this.filesCompleted}`))
         }
+        const links = info.links
+        if (links && links.preserved + links.followed + links.skipped > 0) {
+            console.log(chalk.dim(`  Links: ${links.preserved} preserved, ${links.followed} followed, ${links.skipped} skipped`))
+        }
+        if (info.deleted) {
+            console.log(chalk.dim(`  ${this.sshget.deleteDryRun ? "Would delete" : "Deleted"}: ${info.deleted}`))
+        }
     }
 
     formatBytes(bytes) {
-        if (bytes === 0) return "0 B"
-        const units = ["B", "KB", "MB", "GB", "TB"]
-        const i = Math.floor(Math.log(bytes) / Math.log(1024))
-        return (bytes / Math.pow(1024, i)).toFixed(i > 0 ? 1 : 0) + " " + units[i]
+        return formatSize(bytes)
     }
 
     formatTime(seconds) {
@@ -266,6 +335,7 @@ export class ProgressDisplay {
 
     stop() {
         this.finished = true
+        this.stopPlain()
         this.clearScreen()
     }
 }
@@ -0,0 +1,60 @@
+// How much unused allowance may be banked, as a duration at the current rate (and never less than MIN_BURST)
+const BURST_MS = 100
+const MIN_BURST = 16 * 1024
+
+// How often callers waiting for allowance check again
+export const RATE_TICK_MS = 20
+
+// Token bucket in bytes/second, shared by every agent in a pool so the limit applies to the total.
+// A rate of 0 means unlimited
+export class RateLimiter {
+    constructor(bytesPerSecond = 0) {
+        this.rate = 0
+        this.tokens = 0
+        this.lastRefill = Date.now()
+        this.setRate(bytesPerSecond)
+    }
+
+    get limited() {
+        return this.rate > 0
+    }
+
+    // Change the rate - takes effect for the very next take()
+    setRate(bytesPerSecond) {
+        this.refill()
+        this.rate = bytesPerSecond > 0 ? bytesPerSecond : 0
+        this.tokens = Math.min(this.tokens, this.burst())
+    }
+
+    burst() {
+        return Math.max(MIN_BURST, (this.rate * BURST_MS) / 1000)
+    }
+
+    refill() {
+        const now = Date.now()
+        if (this.rate > 0) {
+            this.tokens = Math.min(this.burst(), this.tokens + ((now - this.lastRefill) * this.rate) / 1000)
+        }
+        this.lastRefill = now
+    }
+
+    // Take up to max bytes of allowance without waiting, returning how many were granted
+    take(max) {
+        if (!this.limited) {
+            return max
+        }
+        this.refill()
+        const granted = Math.min(max, Math.floor(this.tokens))
+        this.tokens -= granted
+        return granted
+    }
+
+    // Wait until n bytes of allowance have been taken
+    async consume(n) {
+        let remaining = n - this.take(n)
+        while (remaining > 0) {
+            await new Promise((resolve) => setTimeout(resolve, RATE_TICK_MS))
+            remaining -= this.take(remaining)
+        }
+    }
+}
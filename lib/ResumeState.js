@@ -0,0 +1,107 @@
+import fs from "fs"
+
+// Sidecar file recording which byte ranges of a chunked download's temp file are already written.
+// Stored as JSON next to the temp file: { size, mtime, ranges: [[start, end], ...] } (inclusive, sorted, merged)
+export class ResumeState {
+    constructor(localPath, size, mtime, ranges = []) {
+        this.localPath = localPath
+        this.statePath = `${localPath}.sshget.state`
+        this.tempPath = `${localPath}.sshget.tmp`
+        this.size = size
+        this.mtime = mtime
+        this.ranges = ranges
+        this.lastSaveTime = 0
+    }
+
+    // Load saved progress for a file, or null if there is none or it was taken from a different remote version
+    static load(localPath, size, mtime) {
+        const state = new ResumeState(localPath, size, mtime)
+        try {
+            const saved = JSON.parse(fs.readFileSync(state.statePath, "utf8"))
+            if (saved.size !== size || saved.mtime !== mtime || !Array.isArray(saved.ranges)) {
+                return null
+            }
+            if (fs.statSync(state.tempPath).size !== size) {
+                return null
+            }
+            for (const [start, end] of saved.ranges) {
+                state.markDone(start, end)
+            }
+            return state
+        } catch (_e) {
+            return null
+        }
+    }
+
+    markDone(start, end) {
+        if (end < start) return
+
+        const merged = []
+        let inserted = false
+        for (const [s, e] of this.ranges) {
+            if (e + 1 < start) {
+                merged.push([s, e])
+            } else if (end + 1 < s) {
+                if (!inserted) {
+                    merged.push([start, end])
+                    inserted = true
+                }
+                merged.push([s, e])
+            } else {
+                // Overlapping or adjacent - absorb into the new range
+                start = Math.min(start, s)
+                end = Math.max(end, e)
+            }
+        }
+        if (!inserted) {
+            merged.push([start, end])
+        }
+        this.ranges = merged
+    }
+
+    // Sub-ranges of [start, end] that are not yet written
+    missing(start, end) {
+        const gaps = []
+        let cursor = start
+        for (const [s, e] of this.ranges) {
+            if (e < cursor) continue
+            if (s > end) break
+            if (s > cursor) {
+                gaps.push([cursor, s - 1])
+            }
+            cursor = e + 1
+            if (cursor > end) break
+        }
+        if (cursor <= end) {
+            gaps.push([cursor, end])
+        }
+        return gaps
+    }
+
+    bytesDone() {
+        return this.ranges.reduce((sum, [s, e]) => sum + (e - s + 1), 0)
+    }
+
+    save() {
+        const data = JSON.stringify({ size: this.size, mtime: this.mtime, ranges: this.ranges })
+        // Write then rename so an interruption never leaves a truncated state file behind
+        fs.writeFileSync(`${this.statePath}.new`, data)
+        fs.renameSync(`${this.statePath}.new`, this.statePath)
+        this.lastSaveTime = Date.now()
+    }
+
+    // Save at most once per interval - used for checkpoints while a range is still streaming
+    saveThrottled(intervalMs = 1000) {
+        if (Date.now() - this.lastSaveTime >= intervalMs) {
+            this.save()
+        }
+    }
+
+    remove() {
+        try {
+            fs.unlinkSync(this.statePath)
+        } catch (_e) {
+            // Ignore if state file doesn't exist
+        }
+    }
+}
@@ -1,13 +1,58 @@
-import { EventEmitter } from "events"
+import { createHash } from "crypto"
 import { join, basename } from "path"
-import { existsSync, statSync, unlinkSync } from "fs"
-import { AgentPool } from "./AgentPool.js"
-import { Downloader } from "./Downloader.js"
-import { log as fileLog } from "./Logger.js"
+import { createReadStream, existsSync, readdirSync, rmdirSync, statSync, unlinkSync } from "fs"
+import { Transfer } from "./Transfer.js"
+import { Downloader, RANGE_REQUEST_SIZE } from "./Downloader.js"
+import { ResumeState } from "./ResumeState.js"
+import { PathFilter } from "./PathFilter.js"
+import { parseSize, parseDuration } from "./units.js"
+
+// Digests that both the remote agent (hashlib) and Node's crypto module understand
+export const VERIFY_ALGORITHMS = ["sha256", "sha1", "md5"]
+
+// Caps on a single small-file batch request
+const BATCH_MAX_FILES = 256
+const BATCH_MAX_BYTES = 16 * 1024 * 1024
+
+// How symlinks inside downloaded trees are handled
+const LINK_MODES = ["preserve", "follow", "skip"]
+
+// When an existing local file counts as already downloaded: same size, same size and modification time, same size and
+// checksum, or never
+const SKIP_POLICIES = ["size", "size-mtime", "checksum", "never"]
+
+// sshget's own working files next to a download: its temp file and resume sidecar (plus the sidecar being rewritten)
+const WORK_FILE = /\.sshget\.(?:tmp|state(?:\.new)?)$/
+
+// Digest of a local file, streamed so large files don't have to fit in memory
+function hashLocalFile(path, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash(algorithm)
+        createReadStream(path)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")))
+            .on("error", reject)
+    })
+}
+
+// A point in time as epoch seconds, like listing mtimes: a Date, a date string, or a duration back from now ("2d", or a
+// number of seconds)
+function timeCutoff(value) {
+    if (value instanceof Date) return value.getTime() / 1000
+    try {
+        return (Date.now() - parseDuration(value)) / 1000
+    } catch (_err) {
+        const date = Date.parse(value)
+        if (Number.isNaN(date)) {
+            throw new Error(`Invalid time: ${value}. Expected a duration like 2d or 12h, or a date`)
+        }
+        return date / 1000
+    }
+}
 
-export class SSHGet extends EventEmitter {
+export class SSHGet extends Transfer {
     constructor(options = {}) {
-        super()
+        super(options)
 
         // Accept either 'sources' array or legacy 'source' string
         const sourceList = options.sources || (options.source ? [options.source] : [])
@@ -18,38 +63,101 @@ export class SSHGet extends EventEmitter {
         // Parse all sources
         this.parsedSources = sourceList.map((s) => this.parseSource(s))
 
-        // Validate all sources are from the same host (for now)
-        const firstHost = `${this.parsedSources[0].user}@${this.parsedSources[0].host}`
+        // One entry per distinct user@host - each gets its own agent pool when downloading
+        this.hosts = []
         for (const parsed of this.parsedSources) {
-            const thisHost = `${parsed.user}@${parsed.host}`
-            if (thisHost !== firstHost) {
-                throw new Error(`All sources must be from the same host. Got ${firstHost} and ${thisHost}`)
+            const key = parsed.user ? `${parsed.user}@${parsed.host}` : parsed.host
+            let host = this.hosts.find((h) => h.key === key)
+            if (!host) {
+                host = { key, user: parsed.user, host: parsed.host, remotePaths: [], agentPool: null }
+                this.hosts.push(host)
+            }
+            host.remotePaths.push(parsed.path)
+        }
+        // Mirror mode: every source is a replica of the same file or tree, and chunks are spread across all of them
+        this.mirror = options.mirror || false
+        if (this.mirror) {
+            if (this.parsedSources.length < 2 || this.hosts.length !== this.parsedSources.length) {
+                throw new Error("Mirror mode needs two or more sources, each on a different host")
+            }
+            if (this.parsedSources.some((p) => this.hasWildcard(p.path))) {
+                throw new Error("Mirror sources can't contain wildcards")
             }
         }
 
-        this.user = this.parsedSources[0].user
-        this.host = this.parsedSources[0].host
+        // With several hosts each one's files go into its own subfolder - named after the host, or user@host when
+        // the same host is reached as different users. Mirrors all hold the same data, so they share one tree
+        this.multiHost = this.hosts.length > 1
+        this.hostSubfolders = this.multiHost && !this.mirror
+        for (const host of this.hosts) {
+            host.dir = this.hosts.filter((h) => h.host === host.host).length > 1 ? host.key : host.host
+        }
+
+        this.user = this.hosts[0].user
+        this.host = this.hosts[0].host
+        this.target = this.hosts[0].key // [user@]host of the first source
         this.remotePaths = this.parsedSources.map((p) => p.path)
 
         this.destination = options.destination || process.cwd()
-        this.tunnelCount = options.tunnels || 8
-        this.compress = options.compress || false
-        this.password = options.password || null
-        this.privateKey = options.privateKey || null
-        this.sshPort = options.sshPort || 22
-        this.verbose = options.verbose || false
         this.parallelThreshold = options.parallelThreshold || 50 * 1024 * 1024
-
-        this.agentPool = null
+        this.chunkSize = options.chunkSize || 32 * 1024 * 1024
+        // Files smaller than this are fetched in batches (0 disables batching)
+        this.batchThreshold = options.batchThreshold ?? 1024 * 1024
+        if (this.chunkSize < RANGE_REQUEST_SIZE) {
+            throw new Error(`chunkSize must be at least ${RANGE_REQUEST_SIZE} bytes`)
+        }
+        this.keepPartial = options.keepPartial || false
+        // Checksum verification: true selects sha256, or name an algorithm explicitly
+        this.verify = options.verify === true ? "sha256" : options.verify || null
+        if (this.verify && !VERIFY_ALGORITHMS.includes(this.verify)) {
+            throw new Error(`Unsupported verify algorithm: ${this.verify}. Expected one of: ${VERIFY_ALGORITHMS.join(", ")}`)
+        }
+        this.skip = options.skip || "size"
+        if (!SKIP_POLICIES.includes(this.skip)) {
+            throw new Error(`Invalid skip policy: ${this.skip}. Expected one of: ${SKIP_POLICIES.join(", ")}`)
+        }
+        this.ignoreExisting = options.ignoreExisting || false // Never replace a file that exists locally
+        this.update = options.update || false // Keep local files newer than the remote's
+        // Keep each file that gets overwritten under its name + this suffix (true selects "~")
+        this.backup = options.backup === true ? "~" : options.backup || null
+        this.links = options.links || "skip"
+        if (!LINK_MODES.includes(this.links)) {
+            throw new Error(`Invalid links mode: ${this.links}. Expected one of: ${LINK_MODES.join(", ")}`)
+        }
+        // Include/exclude rules ([{ include: glob } | { exclude: glob }]) for paths relative to each source
+        const filter = new PathFilter(options.filters || [])
+        this.filter = filter.empty ? null : filter
+        // Size (bytes) and age (epoch seconds) limits on the files downloaded - null when unset
+        this.minSize = options.minSize != null ? parseSize(options.minSize) : null
+        this.maxSize = options.maxSize != null ? parseSize(options.maxSize) : null
+        this.newerThan = options.newerThan != null ? timeCutoff(options.newerThan) : null
+        this.olderThan = options.olderThan != null ? timeCutoff(options.olderThan) : null
+        if (options.newerThanFile) {
+            const reference = statSync(options.newerThanFile).mtimeMs / 1000
+            this.newerThan = Math.max(this.newerThan ?? reference, reference)
+        }
+        // Sync: once downloaded, local entries under a directory source's destination that the remote doesn't have
+        // are deleted - apart from protected paths and those the filters exclude
+        this.deleteDryRun = options.deleteDryRun || false // Only report (file:delete with dryRun) what would go
+        this.sync = options.sync || this.deleteDryRun
+        this.maxDelete = options.maxDelete ?? null // Fail before transferring if more than this many would go
+        const protect = new PathFilter((options.protect || []).map((pattern) => ({ exclude: pattern })))
+        this.protect = protect.empty ? null : protect
+        this.syncRoots = new Map() // Local directory -> relative paths of everything the remote has there
+
+        this.agentPool = null // The first host's pool
         this.downloader = null
-        this.aborted = false
         this.isDirectory = false
         this.isWildcard = false // Track if any source had wildcards
         this.files = []
+        this.directories = [] // Directories to create, including empty ones
+        this.symlinks = [] // Symlinks to recreate locally (links: "preserve")
+        this.linkStats = { preserved: 0, followed: 0, skipped: 0 }
         this.totalBytes = 0
         this.bytesReceived = 0
         this.activeJobs = new Map()
         this.activeTempFiles = new Set() // Track temp files being written to
+        this.resumeStates = new Map() // localPath -> ResumeState for chunked downloads
     }
 
     parseSource(source) {
@@ -58,104 +166,166 @@ export class SSHGet extends EventEmitter {
             throw new Error(`Invalid source format: ${source}. Expected: [user@]host:path`)
         }
         return {
-            user: match[1] || process.env.USER || "root",
+            // Without a user, ssh picks one (from ssh_config, or the local login name)
+            user: match[1] || null,
             host: match[2],
             path: match[3]
         }
     }
 
-    log(...args) {
-        if (this.verbose) {
-            fileLog("SSHGet", ...args)
-        }
-    }
-
     hasWildcard(path) {
         return path.includes("*") || path.includes("?")
     }
 
-    async download() {
-        try {
-            this.log("Starting download from", `${this.user}@${this.host}`)
-            this.log("Sources:", this.remotePaths)
-
-            // Create agent pool for all operations
-            this.agentPool = new AgentPool({
-                user: this.user,
-                host: this.host,
-                tunnels: this.tunnelCount,
-                compress: this.compress,
-                password: this.password,
-                privateKey: this.privateKey,
-                sshPort: this.sshPort,
-                verbose: this.verbose
-            })
-
-            this.downloader = new Downloader({
-                verbose: this.verbose
+    // Connect to every host, expand wildcards and list the sources into this.files, this.directories and this.symlinks
+    // with the filters and limits applied - what download() and plan() both do before anything is transferred
+    async scan() {
+        this.log("Scanning sources on", this.hosts.map((h) => h.key).join(", "))
+        this.log("Sources:", this.remotePaths)
+
+        // Create an agent pool per host, splitting the tunnel budget between them
+        this.hosts.forEach((host, i) => {
+            host.tunnelCount = this.shareOf(this.tunnelCount, i)
+            host.agentPool = this.createPool(host.user, host.host, {
+                tunnels: this.autoTunnels ? "auto" : host.tunnelCount,
+                maxTunnels: this.shareOf(this.maxTunnels, i)
             })
+        })
+        this.agentPool = this.hosts[0].agentPool
+
+        // Expand wildcards for all remote paths (before connecting agents)
+        const expandedPaths = [] // { host, path }
+        for (const host of this.hosts) {
+            for (const remotePath of host.remotePaths) {
+                if (this.hasWildcard(remotePath)) {
+                    this.isWildcard = true
+                    this.log("Expanding wildcard pattern:", `${host.key}:${remotePath}`)
+                    const expanded = await host.agentPool.expandWildcard(remotePath)
+                    if (expanded.length === 0) {
+                        throw new Error(`No files match pattern: ${host.key}:${remotePath}`)
+                    }
+                    this.log("Expanded to:", expanded)
+                    expandedPaths.push(...expanded.map((path) => ({ host, path })))
+                } else {
+                    expandedPaths.push({ host, path: remotePath })
+                }
+            }
+        }
 
-            this.agentPool.on("tunnel:status", (states) => {
-                this.emit("tunnel:status", states)
+        this.log("Connecting agent pools...")
+        const connectStartTime = Date.now()
+        await Promise.all(this.hosts.map((host) => host.agentPool.connect()))
+        this.log(`Agent pools connected in ${Date.now() - connectStartTime}ms`)
+
+        // What each host's agents announced, keyed by [user@]host
+        this.capabilities = {}
+        for (const host of this.hosts) {
+            this.capabilities[host.key] = host.agentPool.capabilities
+            if (this.verify) {
+                host.agentPool.requireHash(this.verify)
+            }
+            if (this.skip === "checksum") {
+                host.agentPool.requireHash(this.checksumAlgorithm)
+            }
+        }
+        this.emit("tunnel:ready", { capabilities: this.capabilities })
+
+        this.log("Listing remote files...")
+        const listStartTime = Date.now()
+        // Hosts are listed concurrently, each one's paths in order
+        const listings = new Map()
+        await Promise.all(
+            this.hosts.map(async (host) => {
+                for (const expanded of expandedPaths.filter((e) => e.host === host)) {
+                    listings.set(
+                        expanded,
+                        await host.agentPool.listRemote(expanded.path, {
+                            followLinks: this.links === "follow",
+                            filter: this.filter
+                        })
+                    )
+                }
             })
+        )
 
-            // Expand wildcards for all remote paths (before connecting agents)
-            let expandedPaths = []
-            const needsWildcardExpansion = this.remotePaths.some((p) => this.hasWildcard(p))
-
-            if (needsWildcardExpansion) {
-                for (const remotePath of this.remotePaths) {
-                    if (this.hasWildcard(remotePath)) {
-                        this.isWildcard = true
-                        this.log("Expanding wildcard pattern:", remotePath)
-                        const expanded = await this.agentPool.expandWildcard(remotePath)
-                        if (expanded.length === 0) {
-                            throw new Error(`No files match pattern: ${remotePath}`)
-                        }
-                        this.log("Expanded to:", expanded)
-                        expandedPaths.push(...expanded)
-                    } else {
-                        expandedPaths.push(remotePath)
-                    }
+        // Collect files from all expanded paths, tracking which root (and host) each file came from.
+        // Mirrors are laid out after the first source alone
+        const roots = this.mirror ? expandedPaths.slice(0, 1) : expandedPaths
+        this.files = []
+        this.directories = []
+        this.symlinks = []
+        let hasDirectory = false
+        for (const expanded of roots) {
+            const listing = listings.get(expanded)
+            const isDir = listing.isDirectory
+            if (isDir) hasDirectory = true
+            // Tag each entry with its host, its matched root and whether that root was a directory
+            for (const entry of [...listing.files, ...listing.directories, ...listing.links]) {
+                entry.origin = expanded.host
+                entry.matchedRoot = expanded.path
+                entry.matchedRootIsDir = isDir
+            }
+            if (this.sync && isDir) {
+                // Everything listed counts as present, including files the size and age limits leave out below
+                const localRoot = this.getLocalPath(listing.directories[0])
+                const present = this.syncRoots.get(localRoot) || new Set()
+                for (const entry of [...listing.files, ...listing.directories, ...listing.links]) {
+                    present.add(entry.path)
                 }
-            } else {
-                expandedPaths = [...this.remotePaths]
-            }
-
-            this.log("Connecting agent pool...")
-            const connectStartTime = Date.now()
-            await this.agentPool.connect()
-            this.log(`Agent pool connected in ${Date.now() - connectStartTime}ms`)
-
-            this.emit("tunnel:ready", {})
-
-            this.log("Listing remote files...")
-            const listStartTime = Date.now()
-            // Collect files from all expanded paths, tracking which root each file came from
-            this.files = []
-            let hasDirectory = false
-            for (const expandedPath of expandedPaths) {
-                const pathInfo = await this.agentPool.getRemotePathInfo(expandedPath)
-                const isDir = pathInfo.isDirectory
-                if (isDir) hasDirectory = true
-                const filesForPath = await this.agentPool.listRemoteFiles(expandedPath)
-                // Tag each file with its matched root and whether that root was a directory
-                for (const file of filesForPath) {
-                    file.matchedRoot = expandedPath
-                    file.matchedRootIsDir = isDir
+                this.syncRoots.set(localRoot, present)
+            }
+            this.files.push(...listing.files)
+            this.directories.push(...listing.directories)
+
+            this.linkStats.followed += listing.followedLinks
+            for (const link of listing.links) {
+                // In follow mode the only links left are loops and dangling links, which can't be followed
+                if (this.links === "preserve") {
+                    this.symlinks.push(link)
+                } else {
+                    this.log(`Skipping symlink: ${link.fullPath} -> ${link.target}`)
+                    this.linkStats.skipped++
                 }
-                this.files.push(...filesForPath)
             }
-            this.isDirectory = hasDirectory || expandedPaths.length > 1
-            this.log(`File listing took ${Date.now() - listStartTime}ms`)
+        }
+        this.isDirectory = hasDirectory || roots.length > 1
+        this.log(`File listing took ${Date.now() - listStartTime}ms`)
 
-            if (this.files.length === 0) {
-                throw new Error(`No files found matching sources`)
-            }
+        if (this.mirror) {
+            this.matchReplicas(expandedPaths, listings)
+        }
+        this.applyLimits()
+        if (this.mirror && this.verify) {
+            await this.compareReplicaChecksums()
+        }
+
+        if (this.files.length === 0 && this.directories.length === 0 && this.symlinks.length === 0) {
+            throw new Error(`No files found matching sources`)
+        }
+
+        this.totalBytes = this.files.reduce((sum, f) => sum + f.size, 0)
+        this.log(`Found ${this.files.length} files, ${this.directories.length} directories, ${this.totalBytes} bytes total`)
+    }
 
-            this.totalBytes = this.files.reduce((sum, f) => sum + f.size, 0)
+    async download() {
+        try {
+            await this.scan()
+
+            // Check the delete limit now rather than after a long transfer - and before there is a Downloader, so
+            // cleanup() has no temp files of this run to sweep and leaves kept partials alone
+            const extraneous = this.sync ? this.findExtraneous() : []
+            if (this.maxDelete !== null && extraneous.length > this.maxDelete) {
+                throw new Error(
+                    `Sync would delete ${extraneous.length} local entries, more than the limit of ${this.maxDelete} - ` +
+                        `nothing was transferred or deleted`
+                )
+            }
 
-            this.log(`Found ${this.files.length} files, ${this.totalBytes} bytes total`)
+            this.downloader = new Downloader({
+                verbose: this.verbose,
+                verify: this.verify,
+                backupSuffix: this.backup
+            })
 
             this.emit("start", {
                 totalBytes: this.totalBytes,
@@ -163,6 +333,11 @@ export class SSHGet extends EventEmitter {
                 files: this.files
             })
 
+            // Create every directory up front so empty ones exist even though no file lands in them
+            for (const dir of this.directories) {
+                await this.downloader.createDirectory(this.getLocalPath(dir))
+            }
+
             const downloadStartTime = Date.now()
             const result = await this.downloadFiles()
             this.log(`Downloads took ${Date.now() - downloadStartTime}ms for ${this.files.length} files`)
@@ -172,12 +347,24 @@ export class SSHGet extends EventEmitter {
                 return { aborted: true }
             }
 
+            // Links go in last so they can't redirect any of the file writes above
+            await this.createSymlinks()
+
+            // Only once everything arrived, so a failed run never deletes anything
+            const deleted = this.deleteExtraneous(extraneous)
+
+            // Directory metadata last of all - writing children would otherwise bump the mtimes again
+            this.applyDirectoryMetadata()
+
             this.emit("complete", {
                 bytesReceived: this.bytesReceived,
-                files: this.files.length
+                files: this.files.length,
+                directories: this.directories.length,
+                links: this.linkStats,
+                deleted
             })
 
-            await this.agentPool.close()
+            await this.closePools()
 
             return {
                 bytesReceived: this.bytesReceived,
@@ -193,8 +380,224 @@ export class SSHGet extends EventEmitter {
         }
     }
 
+    // Dry run: connect, expand and list the sources as download() does, then report where each file would go and how it
+    // would be fetched - without creating, writing or removing anything locally
+    async plan() {
+        try {
+            await this.scan()
+
+            const files = []
+            for (const file of this.files) {
+                const localPath = this.getLocalPath(file)
+                const { action, batched = false, resumed = false, ranges = [] } = await this.planFile(file, localPath)
+                const entry = {
+                    file: file.path,
+                    remotePath: `${file.origin.key}:${file.fullPath}`,
+                    localPath,
+                    size: file.size,
+                    action, // "skip", "whole" or "split"
+                    batched, // Small whole files go several to a request
+                    resumed, // A split file picking up a previous run's partial download
+                    jobs: 0,
+                    bytes: 0 // What would be transferred
+                }
+                if (action === "split") {
+                    entry.jobs = ranges.length
+                    entry.bytes = ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0)
+                } else if (action === "whole") {
+                    entry.jobs = 1
+                    entry.bytes = file.size
+                }
+                files.push(entry)
+            }
+            await this.closePools()
+
+            return {
+                files,
+                directories: this.directories.map((dir) => this.getLocalPath(dir)),
+                symlinks: this.symlinks.map((link) => ({
+                    localPath: this.getLocalPath(link),
+                    target: link.target.toString("utf8")
+                })),
+                links: this.linkStats,
+                // Local entries sync would delete: [{ file, localPath, type }]
+                deletions: this.sync ? this.findExtraneous() : [],
+                totalFiles: this.files.length,
+                totalBytes: this.totalBytes,
+                // What would actually cross the network, after skips and resumes
+                transferBytes: files.reduce((sum, f) => sum + f.bytes, 0)
+            }
+        } catch (err) {
+            await this.cleanup()
+            throw err
+        }
+    }
+
+    // Check every replica holds the same files, at the same sizes, as the first source, and record where each file
+    // lives on each host (the roots may be at different paths)
+    matchReplicas(expandedPaths, listings) {
+        const [primary, ...replicas] = expandedPaths
+        const primaryListing = listings.get(primary)
+        for (const file of this.files) {
+            file.replicaPaths = new Map([[primary.host.agentPool, file.rawPath]])
+        }
+
+        for (const replica of replicas) {
+            const listing = listings.get(replica)
+            const where = `${replica.host.key}:${replica.path}`
+            if (listing.isDirectory !== primaryListing.isDirectory || listing.files.length !== this.files.length) {
+                throw new Error(`Mirror sources differ: ${where} does not match ${primary.host.key}:${primary.path}`)
+            }
+            // A single-file source matches whatever the replica's file is called
+            const byPath = new Map(listing.files.map((f) => [listing.isDirectory ? f.path : "", f]))
+            for (const file of this.files) {
+                const copy = byPath.get(listing.isDirectory ? file.path : "")
+                if (!copy) {
+                    throw new Error(`Mirror sources differ: ${file.path} is missing from ${where}`)
+                }
+                if (copy.size !== file.size) {
+                    throw new Error(`Mirror sources differ: ${file.path} is ${file.size} bytes but ${copy.size} on ${where}`)
+                }
+                file.replicaPaths.set(replica.host.agentPool, copy.rawPath)
+            }
+        }
+        this.log(`All ${replicas.length + 1} mirrors match: ${this.files.length} files`)
+    }
+
+    // Drop files outside the size and age limits (directories are still created)
+    applyLimits() {
+        const within = (file) =>
+            (this.minSize === null || file.size >= this.minSize) &&
+            (this.maxSize === null || file.size <= this.maxSize) &&
+            (this.newerThan === null || file.mtime > this.newerThan) &&
+            (this.olderThan === null || file.mtime < this.olderThan)
+        const count = this.files.length
+        this.files = this.files.filter(within)
+        if (this.files.length < count) {
+            this.log(`Size and age limits left out ${count - this.files.length} of ${count} files`)
+        }
+    }
+
+    // Hash every file on every replica and fail if any copy differs (with verify)
+    async compareReplicaChecksums() {
+        for (const file of this.files) {
+            const digests = await Promise.all(
+                [...file.replicaPaths].map(async ([pool, remotePath]) => {
+                    const agent = pool.acquire()
+                    if (!agent) {
+                        throw new Error(`No agent available to checksum ${file.path} on ${pool.target}`)
+                    }
+                    try {
+                        return { pool, digest: await pool.hashRange(agent, remotePath, 0, file.size, this.verify) }
+                    } finally {
+                        pool.release(agent.id)
+                    }
+                })
+            )
+            const differing = digests.find((d) => d.digest !== digests[0].digest)
+            if (differing) {
+                throw new Error(
+                    `Mirror sources differ: ${file.path} has ${this.verify}=${digests[0].digest} on ` +
+                        `${digests[0].pool.target} but ${differing.digest} on ${differing.pool.target}`
+                )
+            }
+        }
+        this.log(`Mirror checksums match for ${this.files.length} files`)
+    }
+
+    // Where a file lives on the host behind pool - mirrored files can sit at different paths on each replica
+    remotePathOn(file, pool) {
+        return file.replicaPaths?.get(pool) || file.rawPath || file.fullPath
+    }
+
+    // Share i of a tunnel budget split evenly between the hosts (every host gets at least one)
+    shareOf(total, i) {
+        const n = this.hosts.length
+        return Math.max(1, Math.floor(total / n) + (i < total % n ? 1 : 0))
+    }
+
+    async createSymlinks() {
+        for (const link of this.symlinks) {
+            const localPath = this.getLocalPath(link)
+            await this.downloader.createSymlink(localPath, link.target)
+            this.linkStats.preserved++
+        }
+    }
+
+    // Local entries under each directory source's destination that aren't on the remote, children before their
+    // directory: [{ file, localPath, type }]. Protected and filter-excluded paths are kept, along with the directories
+    // holding them, and local symlinks are removed rather than followed
+    findExtraneous() {
+        const extraneous = []
+        // Returns whether everything in the directory is extraneous, so the directory itself can go too
+        const walk = (localRoot, present, relative) => {
+            let entries
+            try {
+                entries = readdirSync(join(localRoot, relative), { withFileTypes: true })
+            } catch (_e) {
+                return false // Never downloaded (or not a directory here) - nothing to compare
+            }
+            let all = true
+            for (const entry of entries) {
+                const path = relative ? `${relative}/${entry.name}` : entry.name
+                const isDir = entry.isDirectory()
+                // Backups of overwritten files and kept partial downloads are never on the remote, but aren't
+                // extraneous either
+                const backup = this.backup && !isDir && entry.name.endsWith(this.backup)
+                const workFile = !isDir && WORK_FILE.test(entry.name)
+                if (backup || workFile || this.protect?.excludes(path, isDir) || this.filter?.excludes(path, isDir)) {
+                    all = false
+                } else if (present.has(path)) {
+                    all = false
+                    if (isDir) walk(localRoot, present, path)
+                } else if (isDir && !walk(localRoot, present, path)) {
+                    all = false
+                } else {
+                    const type = isDir ? "directory" : entry.isSymbolicLink() ? "link" : "file"
+                    extraneous.push({ file: path, localPath: join(localRoot, path), type })
+                }
+            }
+            return all
+        }
+        for (const [localRoot, present] of this.syncRoots) {
+            walk(localRoot, present, "")
+        }
+        return extraneous
+    }
+
+    // Delete what findExtraneous found (or just report it with deleteDryRun), returning how many entries went
+    deleteExtraneous(extraneous) {
+        for (const entry of extraneous) {
+            if (!this.deleteDryRun) {
+                try {
+                    if (entry.type === "directory") {
+                        rmdirSync(entry.localPath)
+                    } else {
+                        unlinkSync(entry.localPath)
+                    }
+                } catch (err) {
+                    if (err.code !== "ENOENT") throw err
+                }
+                this.log(`Deleted ${entry.type}: ${entry.localPath}`)
+            }
+            this.emit("file:delete", { ...entry, dryRun: this.deleteDryRun })
+        }
+        return extraneous.length
+    }
+
+    applyDirectoryMetadata() {
+        // Deepest first, so setting a child's metadata can't disturb its parent afterwards
+        const depth = (dir) => (dir.path ? dir.path.split("/").length : 0)
+        const byDepth = [...this.directories].sort((a, b) => depth(b) - depth(a))
+        for (const dir of byDepth) {
+            this.downloader.applyMetadata(this.getLocalPath(dir), dir.mode, dir.mtime)
+        }
+    }
+
     getLocalPath(file) {
-        const hasMultipleSources = this.remotePaths.length > 1
+        const hasMultipleSources = this.remotePaths.length > 1 && !this.mirror
+        // Each host's files land in their own subfolder
+        const destination = this.hostSubfolders ? join(this.destination, file.origin.dir) : this.destination
 
         // Single source, single file, not a wildcard - can use destination as filename
         if (this.files.length === 1 && !this.isDirectory && !this.isWildcard && !hasMultipleSources) {
@@ -214,67 +617,153 @@ export class SSHGet extends EventEmitter {
             // e.g., source is mtg/, file is mtg/subdir/file.txt
             // → destination/mtg/subdir/file.txt
             const dirName = basename(file.matchedRoot)
-            return join(this.destination, dirName, file.path)
+            return join(destination, dirName, file.path)
         } else {
             // Source was a file directly - put flat in destination
             // e.g., source is foo.txt → destination/foo.txt
-            return join(this.destination, basename(file.fullPath))
+            return join(destination, basename(file.fullPath))
+        }
+    }
+
+    // How a file will be fetched: "skip" when the local copy is up to date, "split" into the ranges still missing
+    // (picking up a previous run's partial download), or "whole" - batched with other small files when it is under the
+    // batch threshold. Only reads local state, so plan() can use it too
+    async planFile(file, localPath) {
+        if (await this.isUpToDate(file, localPath)) {
+            return { action: "skip" }
+        }
+
+        const tunnels = this.mirror ? this.tunnelCount : file.origin.tunnelCount
+        if (file.size >= this.parallelThreshold && tunnels > 1) {
+            // Pick up where a previous run left off if its temp file came from the same remote version
+            const saved = ResumeState.load(localPath, file.size, file.mtime)
+            const state = saved || new ResumeState(localPath, file.size, file.mtime)
+            const ranges = []
+            for (let chunkStart = 0; chunkStart < file.size; chunkStart += this.chunkSize) {
+                const chunkEnd = Math.min(chunkStart + this.chunkSize - 1, file.size - 1)
+                // Only the parts of each chunk that are not already on disk become jobs
+                ranges.push(...state.missing(chunkStart, chunkEnd))
+            }
+            return { action: "split", state, resumed: saved !== null, ranges }
+        }
+
+        return { action: "whole", batched: file.size < this.batchThreshold }
+    }
+
+    // Whether an existing local copy of file can stay, by ignoreExisting, update and the skip policy
+    async isUpToDate(file, localPath) {
+        let stat
+        try {
+            stat = statSync(localPath)
+        } catch (_e) {
+            return false // Not downloaded yet (or stat fails) - download it
+        }
+        if (!stat.isFile()) return false
+        if (this.ignoreExisting) return true
+        // Listing mtimes can carry fractions the local filesystem doesn't keep, so whole seconds are compared
+        const localMtime = Math.floor(stat.mtimeMs / 1000)
+        const remoteMtime = Math.floor(file.mtime)
+        if (this.update && localMtime > remoteMtime) return true
+        if (this.skip === "never" || stat.size !== file.size) return false
+        if (this.skip === "size-mtime") return localMtime === remoteMtime
+        if (this.skip === "checksum") {
+            const [remote, local] = await Promise.all([this.remoteDigest(file), hashLocalFile(localPath, this.checksumAlgorithm)])
+            return remote === local
+        }
+        return true
+    }
+
+    // Algorithm for skip: "checksum" - the verify algorithm when there is one
+    get checksumAlgorithm() {
+        return this.verify || "sha256"
+    }
+
+    async remoteDigest(file) {
+        const pool = file.origin.agentPool
+        const agent = pool.acquire()
+        if (!agent) {
+            throw new Error(`No agent available to checksum ${file.path} on ${pool.target}`)
+        }
+        try {
+            return await pool.hashRange(agent, this.remotePathOn(file, pool), 0, file.size, this.checksumAlgorithm)
+        } finally {
+            pool.release(agent.id)
         }
     }
 
     async downloadFiles() {
         const jobs = []
+        const smallFiles = []
+        const preallocFiles = new Set()
         let skippedBytes = 0
 
         for (const file of this.files) {
             const localPath = this.getLocalPath(file)
             const remotePath = file.fullPath
 
-            // Skip files that already exist with correct size
-            if (existsSync(localPath)) {
-                try {
-                    const stat = statSync(localPath)
-                    if (stat.size === file.size) {
-                        this.log(`Skipping already downloaded: ${localPath}`)
-                        skippedBytes += file.size
-                        this.emit("file:skip", { file: file.path, size: file.size })
-                        continue
-                    }
-                } catch (_e) {
-                    // If stat fails, proceed with download
-                }
+            const plan = await this.planFile(file, localPath)
+
+            if (plan.action === "skip") {
+                this.log(`Skipping, already up to date: ${localPath}`)
+                skippedBytes += file.size
+                this.emit("file:skip", { file: file.path, size: file.size })
+                continue
             }
 
-            if (file.size >= this.parallelThreshold && this.tunnelCount > 1) {
-                const chunkSize = Math.ceil(file.size / this.tunnelCount)
-                let actualChunkCount = 0
-                for (let i = 0; i < this.tunnelCount; i++) {
-                    const rangeStart = i * chunkSize
-                    const rangeEnd = Math.min((i + 1) * chunkSize - 1, file.size - 1)
-                    // Guard against edge case where rangeStart > rangeEnd
-                    if (rangeStart <= rangeEnd) {
-                        jobs.push({
-                            type: "range",
-                            file,
-                            localPath,
-                            remotePath,
-                            rangeStart,
-                            rangeEnd,
-                            chunkIndex: actualChunkCount,
-                            totalChunks: 0 // Will be set after loop
-                        })
-                        actualChunkCount++
-                    }
+            const pool = file.origin.agentPool
+            // A mirrored file can be fetched from any replica's pool
+            const pools = file.replicaPaths ? [...file.replicaPaths.keys()] : undefined
+
+            if (plan.action === "split") {
+                const { state } = plan
+                if (plan.resumed) {
+                    const doneBytes = state.bytesDone()
+                    this.log(`Resuming ${localPath}: ${doneBytes}/${file.size} bytes already downloaded`)
+                    skippedBytes += doneBytes
+                } else {
+                    preallocFiles.add(localPath)
                 }
-                // Set actual chunk count on all range jobs for this file
-                for (const job of jobs) {
-                    if (job.type === "range" && job.localPath === localPath) {
-                        job.totalChunks = actualChunkCount
-                    }
+                this.resumeStates.set(localPath, state)
+                this.activeTempFiles.add(state.tempPath)
+
+                // Fixed-size chunks go into the shared queue; idle agents later split the tails of slow ones
+                const chunks = { total: 0, remaining: plan.ranges.length } // Shared by every range job of this file
+                const fileJobs = plan.ranges.map(([rangeStart, rangeEnd]) => ({
+                    type: "range",
+                    pool,
+                    pools,
+                    file,
+                    localPath,
+                    remotePath,
+                    rangeStart,
+                    rangeEnd,
+                    chunkIndex: chunks.total++,
+                    chunks
+                }))
+
+                if (fileJobs.length === 0) {
+                    // Every range arrived last time, the run just ended before the rename
+                    await this.downloader.finalizeFile(localPath, file.mode, file.mtime)
+                    this.activeTempFiles.delete(state.tempPath)
+                    this.resumeStates.delete(localPath)
+                    state.remove()
+                    this.emit("file:complete", { file: file.path })
                 }
+                jobs.push(...fileJobs)
+            } else if (plan.batched) {
+                smallFiles.push({
+                    file,
+                    remotePath: file.rawPath || remotePath,
+                    localPath,
+                    size: file.size,
+                    mode: file.mode,
+                    mtime: file.mtime
+                })
             } else {
                 jobs.push({
                     type: "file",
+                    pool,
+                    pools,
                     file,
                     localPath,
                     remotePath
@@ -282,16 +771,31 @@ export class SSHGet extends EventEmitter {
             }
         }
 
-        const preallocFiles = new Set()
-        for (const job of jobs) {
-            if (job.type === "range" && !preallocFiles.has(job.localPath)) {
-                preallocFiles.add(job.localPath)
-                const tempPath = `${job.localPath}.sshget.tmp`
-                this.activeTempFiles.add(tempPath)
-                await this.downloader.preallocateFile(job.localPath, job.file.size)
+        // Small files travel in batches - one request per batch instead of one round trip per file.
+        // Batches are sized so every agent of the file's host gets a share, within the per-batch count and byte caps
+        for (const host of this.hosts) {
+            const hostFiles = smallFiles.filter((entry) => entry.file.origin === host)
+            const tunnels = this.mirror ? this.tunnelCount : host.tunnelCount
+            const pools = this.mirror ? this.hosts.map((h) => h.agentPool) : undefined
+            const batchFiles = Math.max(1, Math.min(BATCH_MAX_FILES, Math.ceil(hostFiles.length / tunnels)))
+            let batch = null
+            for (const entry of hostFiles) {
+                if (!batch || batch.entries.length >= batchFiles || batch.size + entry.size > BATCH_MAX_BYTES) {
+                    batch = { type: "batch", pool: host.agentPool, pools, entries: [], size: 0 }
+                    jobs.push(batch)
+                }
+                batch.entries.push(entry)
+                batch.size += entry.size
             }
         }
 
+        for (const localPath of preallocFiles) {
+            const state = this.resumeStates.get(localPath)
+            await this.downloader.preallocateFile(localPath, state.size)
+            // Write the (empty) sidecar right away so even a hard kill leaves a resumable download
+            state.save()
+        }
+
         // Account for skipped files in progress tracking
         if (skippedBytes > 0) {
             this.bytesReceived = skippedBytes
@@ -308,191 +812,199 @@ export class SSHGet extends EventEmitter {
             return
         }
 
-        const pendingJobs = [...jobs]
-        const activeJobs = new Map() // agent.id -> job
-        const completedChunks = new Map()
-        const jobRetries = new Map()
-        const failedJobs = [] // Track permanently failed jobs
-        const maxRetries = 3
-
-        let resolveAll
-        let rejectAll
-        const allDone = new Promise((resolve, reject) => {
-            resolveAll = resolve
-            rejectAll = reject
-        })
-
-        const processQueue = () => {
-            if (this.aborted) {
-                resolveAll({ aborted: true })
-                return
+        // Split the unrequested tail of the active range job with the most work left, queueing the back half.
+        // Only done while an agent of the job's host is idle, so a range is never split just to sit in the queue
+        const stealWork = () => {
+            let victim = null
+            let victimTail = 0
+            for (const job of queue.active) {
+                if (job.type !== "range" || job.requestedEnd === undefined) continue
+                if (!queue.poolsOf(job).some((pool) => pool.hasIdleAgent())) continue
+                const tail = job.rangeEnd - job.requestedEnd
+                if (tail > victimTail) {
+                    victim = job
+                    victimTail = tail
+                }
             }
+            if (!victim || victimTail < 2 * RANGE_REQUEST_SIZE) return false
+
+            const splitAt = victim.requestedEnd + 1 + Math.ceil(victimTail / 2)
+            const stolen = {
+                ...victim,
+                rangeStart: splitAt,
+                rangeEnd: victim.rangeEnd,
+                requestedEnd: undefined,
+                chunkIndex: victim.chunks.total++
+            }
+            victim.rangeEnd = splitAt - 1
+            victim.chunks.remaining++
+            this.log(`Stealing bytes=${stolen.rangeStart}-${stolen.rangeEnd} of ${victim.remotePath} from a slow agent`)
+            queue.push(stolen)
+            return true
+        }
 
-            // Start jobs for available agents
-            while (pendingJobs.length > 0) {
-                const agent = this.agentPool.acquire()
-                if (!agent) break
-
-                const job = pendingJobs.shift()
-                activeJobs.set(agent.id, job)
-
+        const startJob = (agent, job) => {
+            if (job.type === "batch") {
+                // file:start is emitted per file as the batch streams
+                job.pool.setJobInfo(agent.id, `batch of ${job.entries.length}`)
+            } else {
                 const jobInfo =
                     job.type === "range"
-                        ? `${basename(job.remotePath)} [${job.chunkIndex + 1}/${job.totalChunks}]`
+                        ? `${basename(job.remotePath)} [${job.chunkIndex + 1}/${job.chunks.total}]`
                         : basename(job.remotePath)
 
-                this.agentPool.setJobInfo(agent.id, jobInfo)
+                job.pool.setJobInfo(agent.id, jobInfo)
                 this.emit("file:start", { file: job.file.path, job })
-
-                executeJob(agent, job)
-            }
-
-            // Check if all done
-            if (pendingJobs.length === 0 && activeJobs.size === 0) {
-                resolveAll()
             }
         }
 
+        const describeJob = (job) =>
+            job.type === "range"
+                ? `${job.remotePath} chunk ${job.chunkIndex + 1}/${job.chunks.total}`
+                : job.type === "batch"
+                  ? `batch of ${job.entries.length} files`
+                  : job.remotePath
+
         const executeJob = async (agent, job) => {
             const tempPath = `${job.localPath}.sshget.tmp`
 
-            try {
-                if (job.type === "range") {
-                    await this.downloader.downloadRange({
-                        agentPool: this.agentPool,
-                        agent,
-                        remotePath: job.remotePath,
-                        localPath: job.localPath,
-                        rangeStart: job.rangeStart,
-                        rangeEnd: job.rangeEnd,
-                        onProgress: (chunkBytes) => {
-                            this.bytesReceived += chunkBytes
-                            this.emit("file:progress", {
-                                file: job.file.path,
-                                chunkBytes,
-                                bytesReceived: this.bytesReceived,
-                                totalBytes: this.totalBytes
-                            })
+            if (job.type === "range") {
+                const state = this.resumeStates.get(job.localPath)
+
+                await this.downloader.downloadRange({
+                    agentPool: job.pool,
+                    agent,
+                    // Raw listing bytes keep non-UTF-8 names addressable on the remote
+                    remotePath: this.remotePathOn(job.file, job.pool),
+                    localPath: job.localPath,
+                    range: job,
+                    onProgress: (chunkBytes, position) => {
+                        // Checkpoint partial ranges as they stream - unless verifying, where a range
+                        // only counts once its checksum has matched
+                        if (!this.verify) {
+                            state.markDone(position, position + chunkBytes - 1)
+                            state.saveThrottled()
                         }
-                    })
 
-                    const key = job.localPath
-                    const chunks = completedChunks.get(key) || new Set()
-                    chunks.add(job.chunkIndex)
-                    completedChunks.set(key, chunks)
-
-                    if (chunks.size === job.totalChunks) {
-                        await this.downloader.finalizeFile(job.localPath, job.file.mode, job.file.mtime)
-                        this.activeTempFiles.delete(tempPath)
-                        this.emit("file:complete", { file: job.file.path })
+                        this.bytesReceived += chunkBytes
+                        this.emit("file:progress", {
+                            file: job.file.path,
+                            chunkBytes,
+                            bytesReceived: this.bytesReceived,
+                            totalBytes: this.totalBytes
+                        })
                     }
-                } else {
-                    // Track temp file for whole-file downloads
-                    this.activeTempFiles.add(tempPath)
-
-                    await this.downloader.downloadFile({
-                        agentPool: this.agentPool,
-                        agent,
-                        remotePath: job.remotePath,
-                        localPath: job.localPath,
-                        fileSize: job.file.size,
-                        mode: job.file.mode,
-                        mtime: job.file.mtime,
-                        onProgress: (chunkBytes) => {
-                            this.bytesReceived += chunkBytes
-                            this.emit("file:progress", {
-                                file: job.file.path,
-                                chunkBytes,
-                                bytesReceived: this.bytesReceived,
-                                totalBytes: this.totalBytes
-                            })
-                        }
-                    })
+                })
+
+                state.markDone(job.rangeStart, job.rangeEnd)
+                state.save()
 
-                    // downloadFile does its own rename, so remove from tracking
+                if (--job.chunks.remaining === 0) {
+                    await this.downloader.finalizeFile(job.localPath, job.file.mode, job.file.mtime)
                     this.activeTempFiles.delete(tempPath)
+                    this.resumeStates.delete(job.localPath)
+                    state.remove()
                     this.emit("file:complete", { file: job.file.path })
                 }
+            } else if (job.type === "batch") {
+                const entries = job.entries.filter((e) => !e.done)
+                for (const entry of entries) {
+                    entry.remotePath = this.remotePathOn(entry.file, job.pool)
+                    this.activeTempFiles.add(`${entry.localPath}.sshget.tmp`)
+                }
 
-                onJobComplete(agent, job)
-            } catch (err) {
-                onJobFailed(agent, job, err)
-            }
-        }
-
-        const onJobComplete = (agent, _job) => {
-            activeJobs.delete(agent.id)
-            this.agentPool.release(agent.id)
-            // Use setImmediate to avoid stack overflow with many files
-            setImmediate(processQueue)
-        }
-
-        const onJobFailed = (agent, job, err) => {
-            activeJobs.delete(agent.id)
-            this.agentPool.release(agent.id)
-
-            const errMsg = err.message || String(err)
-            const isStallError = errMsg.includes("stalled") || errMsg.includes("read timeout") || errMsg.includes("read stalled")
-            const isAgentError = errMsg.includes("connection closed") || errMsg.includes("Agent") || isStallError
-
-            // Log diagnostic info
-            const jobDesc =
-                job.type === "range" ? `${job.remotePath} chunk ${job.chunkIndex + 1}/${job.totalChunks}` : job.remotePath
-            this.log(`Job failed on agent ${agent.id}: ${jobDesc}`)
-            this.log(`  Error: ${errMsg}`)
-            this.log(`  Is stall: ${isStallError}, Is agent error: ${isAgentError}`)
-
-            // If this looks like an agent problem (stall, disconnect), mark agent unhealthy
-            if (isAgentError) {
-                this.agentPool.markUnhealthy(agent.id, errMsg)
-            }
+                const { failed } = await this.downloader.downloadBatch({
+                    agentPool: job.pool,
+                    agent,
+                    entries,
+                    onFileStart: (entry) => {
+                        job.pool.setJobInfo(agent.id, basename(entry.localPath))
+                        this.emit("file:start", { file: entry.file.path, job })
+                    },
+                    onProgress: (entry, chunkBytes) => {
+                        this.bytesReceived += chunkBytes
+                        this.emit("file:progress", {
+                            file: entry.file.path,
+                            chunkBytes,
+                            bytesReceived: this.bytesReceived,
+                            totalBytes: this.totalBytes
+                        })
+                    },
+                    onFileComplete: (entry) => {
+                        this.activeTempFiles.delete(`${entry.localPath}.sshget.tmp`)
+                        this.emit("file:complete", { file: entry.file.path })
+                    }
+                })
 
-            // Check if we have any healthy agents left
-            const healthyCount = this.agentPool.getHealthyCount()
-            this.log(`  Healthy agents remaining: ${healthyCount}`)
+                // Files the batch couldn't deliver get retried one by one as regular jobs
+                for (const { entry, error } of failed) {
+                    this.log(`Batch file failed, retrying individually: ${entry.file.fullPath} - ${error.message}`)
+                    queue.push({
+                        type: "file",
+                        pool: job.pool,
+                        pools: job.pools,
+                        file: entry.file,
+                        localPath: entry.localPath,
+                        remotePath: entry.file.fullPath
+                    })
+                }
+            } else {
+                // Track temp file for whole-file downloads
+                this.activeTempFiles.add(tempPath)
 
-            // If agent error and we have healthy agents, don't count against job retries
-            const shouldRetryOnAgent = isAgentError && healthyCount > 0
+                await this.downloader.downloadFile({
+                    agentPool: job.pool,
+                    agent,
+                    remotePath: this.remotePathOn(job.file, job.pool),
+                    localPath: job.localPath,
+                    fileSize: job.file.size,
+                    mode: job.file.mode,
+                    mtime: job.file.mtime,
+                    onProgress: (chunkBytes) => {
+                        this.bytesReceived += chunkBytes
+                        this.emit("file:progress", {
+                            file: job.file.path,
+                            chunkBytes,
+                            bytesReceived: this.bytesReceived,
+                            totalBytes: this.totalBytes
+                        })
+                    }
+                })
 
-            if (shouldRetryOnAgent) {
-                this.log(`  Retrying on different agent (not counting as retry)`)
-                pendingJobs.push(job)
-                // Use setImmediate to avoid stack overflow with many files
-                setImmediate(processQueue)
-                return
+                // downloadFile does its own rename, so remove from tracking
+                this.activeTempFiles.delete(tempPath)
+                this.emit("file:complete", { file: job.file.path })
             }
+        }
 
-            // Regular job failure (not agent-related, or no healthy agents left)
-            const retries = (jobRetries.get(job) || 0) + 1
-            jobRetries.set(job, retries)
+        const queue = this.createJobQueue({
+            name: "Download",
+            execute: executeJob,
+            onStart: startJob,
+            steal: stealWork,
+            describe: describeJob
+        })
+        for (const job of jobs) {
+            queue.push(job)
+        }
+        return queue.run()
+    }
 
-            if (retries < maxRetries) {
-                this.log(`  Job error (retry ${retries}/${maxRetries}): ${errMsg}`)
-                pendingJobs.push(job)
-                // Use setImmediate to avoid stack overflow with many files
-                setImmediate(processQueue)
-            } else {
-                this.log(`  Job failed after ${maxRetries} retries: ${jobDesc} - ${errMsg}`)
-                failedJobs.push(job)
+    abort() {
+        this.aborted = true
 
-                // If all agents are unhealthy, give a clearer error
-                if (healthyCount === 0) {
-                    rejectAll(new Error(`All agents failed - last error: ${errMsg}`))
-                } else {
-                    rejectAll(new Error(`Download failed: ${jobDesc} - ${errMsg}`))
+        // With keepPartial, chunked downloads keep their temp file and sidecar so a rerun can resume them
+        if (this.keepPartial) {
+            for (const state of this.resumeStates.values()) {
+                try {
+                    state.save()
+                } catch (_e) {
+                    // Nothing more we can do - the next run will start that file over
                 }
+                this.activeTempFiles.delete(state.tempPath)
             }
         }
 
-        // Start processing
-        processQueue()
-
-        // Wait for all jobs to complete and return result
-        return await allDone
-    }
-
-    abort() {
-        this.aborted = true
         // Return list of temp files to clean up (like whatsync)
         const tempFiles = Array.from(this.activeTempFiles)
         this.activeTempFiles.clear()
@@ -500,8 +1012,16 @@ export class SSHGet extends EventEmitter {
     }
 
     async cleanup() {
-        if (this.agentPool) {
-            await this.agentPool.close()
+        await this.closePools()
+
+        const keptTemps = new Set()
+        for (const state of this.resumeStates.values()) {
+            if (this.keepPartial) {
+                keptTemps.add(state.tempPath)
+                this.activeTempFiles.delete(state.tempPath)
+            } else {
+                state.remove()
+            }
         }
 
         // Clean up any tracked active temp files
@@ -517,7 +1037,9 @@ export class SSHGet extends EventEmitter {
         // Also clean up based on file list (legacy behavior)
         for (const file of this.files) {
             const localPath = this.getLocalPath(file)
-            await this.downloader?.cleanupTemp(localPath)
+            if (!keptTemps.has(`${localPath}.sshget.tmp`)) {
+                await this.downloader?.cleanupTemp(localPath)
+            }
         }
     }
 }
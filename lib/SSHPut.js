@@ -0,0 +1,352 @@
+import { basename, join, relative, posix } from "path"
+import { readdirSync, statSync } from "fs"
+import { Transfer } from "./Transfer.js"
+import { VERIFY_ALGORITHMS } from "./SSHGet.js"
+import { Uploader } from "./Uploader.js"
+
+export class SSHPut extends Transfer {
+    constructor(options = {}) {
+        super(options)
+
+        // Accept either 'sources' array or a single 'source' string
+        const sourceList = options.sources || (options.source ? [options.source] : [])
+        if (sourceList.length === 0) {
+            throw new Error("At least one source is required")
+        }
+        if (!options.destination) {
+            throw new Error("A remote destination is required")
+        }
+
+        this.localPaths = sourceList
+        const parsed = this.parseDestination(options.destination)
+        this.user = parsed.user
+        this.host = parsed.host
+        this.target = parsed.user ? `${parsed.user}@${parsed.host}` : parsed.host
+        this.remoteDestination = parsed.path
+        this.direction = "upload"
+
+        this.parallelThreshold = options.parallelThreshold || 50 * 1024 * 1024
+        this.verify = options.verify === true ? "sha256" : options.verify || null
+        if (this.verify && !VERIFY_ALGORITHMS.includes(this.verify)) {
+            throw new Error(`Unsupported verify algorithm: ${this.verify}. Expected one of: ${VERIFY_ALGORITHMS.join(", ")}`)
+        }
+
+        this.agentPool = null
+        this.uploader = null
+        this.isDirectory = false
+        this.destIsDirectory = false
+        this.files = []
+        this.totalBytes = 0
+        this.bytesSent = 0
+        this.activeTempFiles = new Set() // Remote temp files being written to
+    }
+
+    parseDestination(destination) {
+        const match = destination.match(/^(?:([^@]+)@)?([^:]+):(.+)$/)
+        if (!match) {
+            throw new Error(`Invalid destination format: ${destination}. Expected: [user@]host:path`)
+        }
+        return {
+            // Without a user, ssh picks one (from ssh_config, or the local login name)
+            user: match[1] || null,
+            host: match[2],
+            path: match[3]
+        }
+    }
+
+    // Walk a local path, returning regular files in the same shape as the files of AgentPool.listRemote()
+    listLocalFiles(root) {
+        const rootStat = statSync(root)
+        if (!rootStat.isDirectory()) {
+            return [
+                {
+                    path: basename(root),
+                    fullPath: root,
+                    size: rootStat.size,
+                    mode: rootStat.mode & 0o7777,
+                    mtime: Math.floor(rootStat.mtimeMs / 1000)
+                }
+            ]
+        }
+
+        const files = []
+        const walk = (dir) => {
+            for (const entry of readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = join(dir, entry.name)
+                if (entry.isDirectory()) {
+                    walk(fullPath)
+                } else if (entry.isFile()) {
+                    const stat = statSync(fullPath)
+                    files.push({
+                        path: relative(root, fullPath),
+                        fullPath,
+                        size: stat.size,
+                        mode: stat.mode & 0o7777,
+                        mtime: Math.floor(stat.mtimeMs / 1000)
+                    })
+                }
+            }
+        }
+        walk(root)
+        return files
+    }
+
+    async upload() {
+        try {
+            this.log("Starting upload to", `${this.target}:${this.remoteDestination}`)
+            this.log("Sources:", this.localPaths)
+
+            this.files = []
+            let hasDirectory = false
+            for (const localPath of this.localPaths) {
+                let isDir
+                try {
+                    isDir = statSync(localPath).isDirectory()
+                } catch {
+                    throw new Error(`Local source not found: ${localPath}`)
+                }
+                if (isDir) hasDirectory = true
+                const filesForPath = this.listLocalFiles(localPath)
+                for (const file of filesForPath) {
+                    file.matchedRoot = localPath
+                    file.matchedRootIsDir = isDir
+                }
+                this.files.push(...filesForPath)
+            }
+            this.isDirectory = hasDirectory || this.localPaths.length > 1
+
+            if (this.files.length === 0) {
+                throw new Error(`No files found matching sources`)
+            }
+
+            this.totalBytes = this.files.reduce((sum, f) => sum + f.size, 0)
+            this.log(`Found ${this.files.length} files, ${this.totalBytes} bytes total`)
+
+            this.agentPool = this.createPool(this.user, this.host, { requiredOps: "TWF" })
+
+            this.uploader = new Uploader({
+                verbose: this.verbose,
+                verify: this.verify
+            })
+
+            const destInfo = await this.agentPool.getRemotePathInfo(this.remoteDestination)
+            this.destIsDirectory = destInfo.isDirectory
+
+            this.log("Connecting agent pool...")
+            const connectStartTime = Date.now()
+            await this.agentPool.connect()
+            this.log(`Agent pool connected in ${Date.now() - connectStartTime}ms`)
+
+            this.capabilities = { [this.target]: this.agentPool.capabilities }
+            if (this.verify) {
+                this.agentPool.requireHash(this.verify)
+            }
+            this.emit("tunnel:ready", { capabilities: this.capabilities })
+
+            this.emit("start", {
+                totalBytes: this.totalBytes,
+                totalFiles: this.files.length,
+                files: this.files
+            })
+
+            const uploadStartTime = Date.now()
+            const result = await this.uploadFiles()
+            this.log(`Uploads took ${Date.now() - uploadStartTime}ms for ${this.files.length} files`)
+
+            if (result?.aborted) {
+                return { aborted: true }
+            }
+
+            this.emit("complete", {
+                bytesSent: this.bytesSent,
+                files: this.files.length
+            })
+
+            await this.agentPool.close()
+
+            return {
+                bytesSent: this.bytesSent,
+                files: this.files.length
+            }
+        } catch (err) {
+            if (!this.aborted) {
+                this.emit("error", err)
+            }
+            await this.cleanup()
+            throw err
+        }
+    }
+
+    // Mirror of SSHGet.getLocalPath() for the remote side
+    getRemotePath(file) {
+        // Single file source - destination is the filename unless it is a directory
+        if (this.files.length === 1 && !this.isDirectory) {
+            if (this.remoteDestination.endsWith("/") || this.destIsDirectory) {
+                return posix.join(this.remoteDestination, basename(file.path))
+            }
+            return this.remoteDestination
+        }
+
+        if (file.matchedRootIsDir) {
+            // Source was a directory - preserve structure under that directory name
+            const dirName = basename(file.matchedRoot)
+            return posix.join(this.remoteDestination, dirName, ...file.path.split(/[\\/]/))
+        }
+        return posix.join(this.remoteDestination, basename(file.fullPath))
+    }
+
+    async uploadFiles() {
+        const jobs = []
+
+        for (const file of this.files) {
+            const remotePath = this.getRemotePath(file)
+            const localPath = file.fullPath
+
+            if (file.size >= this.parallelThreshold && this.tunnelCount > 1) {
+                const chunkSize = Math.ceil(file.size / this.tunnelCount)
+                const fileJobs = []
+                for (let i = 0; i < this.tunnelCount; i++) {
+                    const rangeStart = i * chunkSize
+                    const rangeEnd = Math.min((i + 1) * chunkSize - 1, file.size - 1)
+                    if (rangeStart <= rangeEnd) {
+                        fileJobs.push({
+                            type: "range",
+                            pool: this.agentPool,
+                            file,
+                            localPath,
+                            remotePath,
+                            rangeStart,
+                            rangeEnd,
+                            chunkIndex: fileJobs.length,
+                            totalChunks: 0
+                        })
+                    }
+                }
+                for (const job of fileJobs) {
+                    job.totalChunks = fileJobs.length
+                }
+                jobs.push(...fileJobs)
+            } else {
+                jobs.push({
+                    type: "file",
+                    pool: this.agentPool,
+                    file,
+                    localPath,
+                    remotePath
+                })
+            }
+        }
+
+        // Preallocate remote temp files for chunked uploads before any ranges are written
+        const preallocFiles = new Map()
+        for (const job of jobs) {
+            if (job.type === "range") {
+                preallocFiles.set(job.remotePath, job.file.size)
+            }
+        }
+        if (preallocFiles.size > 0) {
+            const agent = this.agentPool.acquire()
+            try {
+                for (const [remotePath, size] of preallocFiles) {
+                    this.activeTempFiles.add(`${remotePath}.sshget.tmp`)
+                    await this.uploader.preallocateFile(this.agentPool, agent, remotePath, size)
+                }
+            } finally {
+                this.agentPool.release(agent.id)
+            }
+        }
+
+        const completedChunks = new Map()
+
+        const onProgress = (job) => (chunkBytes) => {
+            this.bytesSent += chunkBytes
+            this.emit("file:progress", {
+                file: job.file.path,
+                chunkBytes,
+                bytesSent: this.bytesSent,
+                totalBytes: this.totalBytes
+            })
+        }
+
+        const startJob = (agent, job) => {
+            const jobInfo =
+                job.type === "range"
+                    ? `${basename(job.localPath)} [${job.chunkIndex + 1}/${job.totalChunks}]`
+                    : basename(job.localPath)
+
+            this.agentPool.setJobInfo(agent.id, jobInfo)
+            this.emit("file:start", { file: job.file.path, job })
+        }
+
+        const describeJob = (job) =>
+            job.type === "range" ? `${job.localPath} chunk ${job.chunkIndex + 1}/${job.totalChunks}` : job.localPath
+
+        const executeJob = async (agent, job) => {
+            const tempPath = `${job.remotePath}.sshget.tmp`
+
+            if (job.type === "range") {
+                await this.uploader.uploadRange({
+                    agentPool: this.agentPool,
+                    agent,
+                    localPath: job.localPath,
+                    remotePath: job.remotePath,
+                    rangeStart: job.rangeStart,
+                    rangeEnd: job.rangeEnd,
+                    onProgress: onProgress(job)
+                })
+
+                const chunks = completedChunks.get(job.remotePath) || new Set()
+                chunks.add(job.chunkIndex)
+                completedChunks.set(job.remotePath, chunks)
+
+                if (chunks.size === job.totalChunks) {
+                    await this.uploader.finalizeFile(this.agentPool, agent, job.remotePath, job.file.mode, job.file.mtime)
+                    this.activeTempFiles.delete(tempPath)
+                    this.emit("file:complete", { file: job.file.path })
+                }
+            } else {
+                this.activeTempFiles.add(tempPath)
+
+                await this.uploader.uploadFile({
+                    agentPool: this.agentPool,
+                    agent,
+                    localPath: job.localPath,
+                    remotePath: job.remotePath,
+                    fileSize: job.file.size,
+                    mode: job.file.mode,
+                    mtime: job.file.mtime,
+                    onProgress: onProgress(job)
+                })
+
+                this.activeTempFiles.delete(tempPath)
+                this.emit("file:complete", { file: job.file.path })
+            }
+        }
+
+        const queue = this.createJobQueue({
+            name: "Upload",
+            execute: executeJob,
+            onStart: startJob,
+            describe: describeJob
+        })
+        for (const job of jobs) {
+            queue.push(job)
+        }
+        return queue.run()
+    }
+
+    abort() {
+        this.aborted = true
+        // Temp files live on the remote side, so there is nothing for the caller to delete locally;
+        // cleanup() removes them over SSH
+        return []
+    }
+
+    async cleanup() {
+        if (this.agentPool) {
+            await this.agentPool.removeRemoteFiles(Array.from(this.activeTempFiles))
+            this.activeTempFiles.clear()
+            await this.agentPool.close()
+        }
+    }
+}
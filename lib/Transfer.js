@@ -0,0 +1,103 @@
+import { EventEmitter } from "events"
+import { AgentPool, AUTO_MAX_TUNNELS } from "./AgentPool.js"
+import { JobQueue } from "./JobQueue.js"
+import { RateLimiter } from "./RateLimiter.js"
+import { log as fileLog } from "./Logger.js"
+
+// What downloads (SSHGet) and uploads (SSHPut) share: the connection options, the agent pools opened with them - all
+// under one bandwidth cap, reporting their tunnels together - and the job queue that runs transfers on their agents
+export class Transfer extends EventEmitter {
+    constructor(options = {}) {
+        super()
+
+        // tunnels: "auto" lets the pool grow up to maxTunnels - jobs are planned as if it were at that ceiling
+        this.autoTunnels = options.tunnels === "auto"
+        this.maxTunnels = options.maxTunnels || AUTO_MAX_TUNNELS
+        this.tunnelCount = this.autoTunnels ? this.maxTunnels : options.tunnels || 8
+        this.pipelineDepth = options.pipelineDepth // Requests in flight per agent (AgentPool default if unset)
+        this.rateLimit = options.rateLimit || 0 // Bytes/second across all agents, 0 = unlimited
+        this.rateLimiter = new RateLimiter(this.rateLimit) // Shared by every pool
+        this.compress = options.compress || false
+        this.multiplex = options.multiplex || false // One authenticated connection shared by all agents
+        this.password = options.password || null
+        this.privateKey = options.privateKey || null
+        this.sshPort = options.sshPort || null
+        this.jumpHost = options.jumpHost || null
+        this.sshConfig = options.sshConfig || null
+        this.sshOptions = options.sshOptions || []
+        // "ssh", "local", or a wrapper command such as "docker exec -i {host}" (default: ssh, or local for local:path)
+        this.transport = options.transport || null
+        this.agent = options.agent || "auto" // Remote agent: auto, python3, perl, or sh
+        this.capabilities = null // Set once connected - see tunnel:ready
+        this.verbose = options.verbose || false
+
+        this.pools = [] // Every pool opened by createPool()
+        this.aborted = false
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            fileLog(this.constructor.name, ...args)
+        }
+    }
+
+    // An agent pool for [user@]host with the connection options, plus any of its own (tunnels, requiredOps, ...)
+    createPool(user, host, options = {}) {
+        const pool = new AgentPool({
+            user,
+            host,
+            tunnels: this.autoTunnels ? "auto" : this.tunnelCount,
+            maxTunnels: this.maxTunnels,
+            pipelineDepth: this.pipelineDepth,
+            rateLimiter: this.rateLimiter,
+            compress: this.compress,
+            multiplex: this.multiplex,
+            password: this.password,
+            privateKey: this.privateKey,
+            sshPort: this.sshPort,
+            jumpHost: this.jumpHost,
+            sshConfig: this.sshConfig,
+            sshOptions: this.sshOptions,
+            transport: this.transport,
+            agent: this.agent,
+            verbose: this.verbose,
+            ...options
+        })
+        pool.on("tunnel:status", () => {
+            this.emit("tunnel:status", this.getTunnelStates())
+        })
+        this.pools.push(pool)
+        return pool
+    }
+
+    // Tunnel states of every pool, tagged with the host when there are several
+    getTunnelStates() {
+        const multiHost = this.pools.length > 1
+        return this.pools.flatMap((pool) =>
+            pool.getStates().map((state) => (multiHost ? { ...state, host: pool.target } : state))
+        )
+    }
+
+    async closePools() {
+        await Promise.all(this.pools.map((pool) => pool.close()))
+    }
+
+    // A queue running jobs on the agents of every pool, reporting retries as job:retry and stopping once aborted -
+    // options as for JobQueue
+    createJobQueue(options) {
+        return new JobQueue({
+            pools: this.pools,
+            aborted: () => this.aborted,
+            onRetry: (info) => this.emit("job:retry", info),
+            verbose: this.verbose,
+            ...options
+        })
+    }
+
+    // Change the bandwidth cap (bytes/second, 0 = unlimited), including for a transfer already in progress
+    setRateLimit(bytesPerSecond) {
+        this.rateLimit = bytesPerSecond || 0
+        this.rateLimiter.setRate(this.rateLimit)
+        this.log(`Rate limit set to ${this.rateLimit ? `${this.rateLimit} bytes/s` : "unlimited"}`)
+    }
+}
@@ -0,0 +1,268 @@
+import { spawn } from "child_process"
+import { mkdtempSync, rmSync } from "fs"
+import { tmpdir } from "os"
+import { join } from "path"
+import { log as fileLog } from "./Logger.js"
+
+const SSH_OPTIONS = [
+    "-o",
+    "Ciphers=aes128-gcm@openssh.com,aes256-gcm@openssh.com,aes128-ctr,aes256-ctr",
+    "-o",
+    "IPQoS=throughput",
+    "-o",
+    "ServerAliveInterval=60",
+    "-o",
+    "StrictHostKeyChecking=accept-new"
+]
+
+// Host name that selects the local transport in a source like local:/path
+export const LOCAL_HOST = "local"
+
+// A transport decides how agents and one-off commands reach the machine on the other end. Every transport has
+// command(shellCommand, options) returning the { command, args } to spawn so that shellCommand runs there under sh
+// (options.binary is set for agents, whose stdin/stdout carry the binary protocol), prepare() to run once before
+// the first command, and close() once the pool is done with it
+
+// Over ssh - optionally through a ControlMaster connection that every later command is multiplexed over
+export class SSHTransport {
+    constructor(options = {}) {
+        this.target = options.user ? `${options.user}@${options.host}` : options.host
+        this.compress = options.compress || false
+        this.password = options.password || null
+        this.privateKey = options.privateKey || null
+        this.sshPort = options.sshPort || null // null leaves the port to ssh_config (or 22)
+        this.jumpHost = options.jumpHost || null // ProxyJump destination(s), as for ssh -J
+        this.sshConfig = options.sshConfig || null // Alternative ssh_config file, as for ssh -F
+        this.sshOptions = options.sshOptions || [] // Extra "Key=Value" options, as for repeated ssh -o
+        // Run agents and remote commands as channels of one master connection instead of separate logins
+        this.multiplex = options.multiplex || false
+        this.verbose = options.verbose || false
+
+        this.master = null // { process, dir, controlPath, ready } while multiplexing
+        this.preparePromise = null
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            fileLog("SSHTransport", ...args)
+        }
+    }
+
+    describe() {
+        return `ssh ${this.target}`
+    }
+
+    // Check for sshpass and establish the master connection when multiplexing (once - later calls wait for it)
+    async prepare() {
+        if (!this.preparePromise) {
+            this.preparePromise = this.startup()
+            this.preparePromise.catch(() => {
+                this.preparePromise = null
+            })
+        }
+        await this.preparePromise
+    }
+
+    async startup() {
+        if (this.password && !(await this.checkSSHPass())) {
+            throw new Error(
+                "sshpass is required for password authentication but not found. Install it with: brew install hudochenkov/sshpass/sshpass"
+            )
+        }
+        if (this.multiplex) {
+            await this.startMaster()
+        }
+    }
+
+    command(shellCommand, options = {}) {
+        const sshArgs = [...this.buildConnectionArgs(), shellCommand]
+        if (options.binary) {
+            sshArgs.unshift("-T") // Disable PTY - required for binary protocol
+        }
+        return this.wrapWithSSHPass("ssh", sshArgs)
+    }
+
+    // Options shared by every ssh invocation, ending with the destination
+    buildConnectionArgs() {
+        const args = []
+
+        if (this.sshConfig) {
+            args.push("-F", this.sshConfig)
+        }
+
+        if (this.jumpHost) {
+            args.push("-J", this.jumpHost)
+        }
+
+        // ssh keeps the first value it sees for an option, so the user's come before the defaults
+        for (const option of this.sshOptions) {
+            args.push("-o", option)
+        }
+        args.push(...SSH_OPTIONS)
+
+        if (this.sshPort) {
+            args.push("-p", String(this.sshPort))
+        }
+
+        if (this.compress) {
+            args.push("-C")
+        }
+
+        if (this.privateKey) {
+            args.push("-i", this.privateKey)
+        }
+
+        if (this.master?.ready) {
+            args.push("-S", this.master.controlPath, "-o", "ControlMaster=no")
+        }
+
+        args.push(this.target)
+        return args
+    }
+
+    wrapWithSSHPass(command, args) {
+        // Channels of an established master connection are already authenticated
+        if (!this.password || this.master?.ready) {
+            return { command, args }
+        }
+        return {
+            command: "sshpass",
+            args: ["-p", this.password, command, ...args]
+        }
+    }
+
+    async checkSSHPass() {
+        if (!this.password) return true
+
+        return new Promise((resolve) => {
+            const proc = spawn("which", ["sshpass"])
+            proc.on("close", (code) => {
+                resolve(code === 0)
+            })
+        })
+    }
+
+    // Start a ControlMaster connection with its socket in a private temp dir, resolving once it accepts channels
+    async startMaster() {
+        // mkdtemp creates the dir with mode 0700, so no one else can reach the socket
+        const dir = mkdtempSync(join(tmpdir(), "sshget-"))
+        const controlPath = join(dir, "master")
+        const sshArgs = ["-M", "-N", "-S", controlPath, "-o", "ControlPersist=no", ...this.buildConnectionArgs()]
+        const { command, args } = this.wrapWithSSHPass("ssh", sshArgs)
+
+        this.log("Starting master connection:", controlPath)
+
+        const proc = spawn(command, args, { stdio: ["ignore", "ignore", "pipe"] })
+        this.master = { process: proc, dir, controlPath, ready: false }
+
+        let stderr = ""
+        let exited = null
+        proc.stderr.on("data", (data) => {
+            stderr += data.toString()
+        })
+        proc.on("close", (code) => {
+            exited = code
+            if (this.master?.process === proc && this.master.ready) {
+                this.log(`Master connection closed with code ${code}${stderr ? `: ${stderr.trim()}` : ""}`)
+            }
+        })
+
+        // Poll the control socket until the master has authenticated
+        const deadline = Date.now() + 30000
+        while (!(await this.checkMaster(controlPath))) {
+            if (exited !== null) {
+                this.closeMaster()
+                throw new Error(`Master connection failed (code ${exited}): ${stderr.trim()}`)
+            }
+            if (Date.now() > deadline) {
+                this.closeMaster()
+                throw new Error("Timeout waiting for master connection")
+            }
+            await new Promise((resolve) => setTimeout(resolve, 200))
+        }
+
+        this.master.ready = true
+        this.log("Master connection ready")
+    }
+
+    // Whether the master behind controlPath is up and accepting channels
+    checkMaster(controlPath) {
+        return new Promise((resolve) => {
+            const args = [...(this.sshConfig ? ["-F", this.sshConfig] : []), "-S", controlPath, "-O", "check", this.target]
+            const proc = spawn("ssh", args, { stdio: "ignore" })
+            proc.on("close", (code) => resolve(code === 0))
+            proc.on("error", () => resolve(false))
+        })
+    }
+
+    closeMaster() {
+        if (!this.master) return
+        if (!this.master.process.killed) {
+            this.master.process.kill("SIGTERM")
+        }
+        rmSync(this.master.dir, { recursive: true, force: true })
+        this.master = null
+    }
+
+    async close() {
+        // Agents are gone, so nothing is using the master connection any more
+        this.closeMaster()
+        this.preparePromise = null
+    }
+}
+
+// On this machine - agents are plain local subprocesses, relative paths resolve against the working directory
+export class LocalTransport {
+    describe() {
+        return "local"
+    }
+
+    async prepare() {}
+
+    command(shellCommand) {
+        return { command: "sh", args: ["-c", shellCommand] }
+    }
+
+    async close() {}
+}
+
+// Through a command that runs its trailing arguments somewhere else and relays stdin/stdout, such as
+// `docker exec -i <container>` or `kubectl exec -i <pod> --`
+export class CommandTransport {
+    constructor(argv) {
+        if (argv.length === 0) {
+            throw new Error("Transport command is empty")
+        }
+        this.argv = argv
+    }
+
+    describe() {
+        return this.argv.join(" ")
+    }
+
+    async prepare() {}
+
+    command(shellCommand) {
+        return { command: this.argv[0], args: [...this.argv.slice(1), "sh", "-c", shellCommand] }
+    }
+
+    async close() {}
+}
+
+// Pick a transport from options.transport: "ssh", "local", a wrapper command (a string split on whitespace, or an
+// argv array) in which {host} stands for the source's host, or a ready-made transport object. Without one, sources
+// on LOCAL_HOST are local and everything else goes over ssh
+export function createTransport(options = {}) {
+    const spec = options.transport || (options.host === LOCAL_HOST ? "local" : "ssh")
+    if (typeof spec.command === "function") {
+        return spec
+    }
+    if (spec === "ssh") {
+        return new SSHTransport(options)
+    }
+    if (spec === "local") {
+        return new LocalTransport()
+    }
+    const template = Array.isArray(spec) ? spec : spec.split(/\s+/).filter(Boolean)
+    return new CommandTransport(template.map((arg) => arg.replaceAll("{host}", options.host)))
+}
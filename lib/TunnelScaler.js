@@ -0,0 +1,102 @@
+import { log as fileLog } from "./Logger.js"
+
+// How often aggregate throughput is sampled
+const SAMPLE_MS = 3000
+// Relative throughput gain the last agents added must bring for the pool to keep growing
+const MIN_GAIN = 0.1
+// Agents added per step
+const GROW_STEP = 2
+
+// Sizes an AgentPool for tunnels: "auto". While every agent has work, agents are added a step at a time as long as
+// each step raises aggregate throughput; once a step stops paying off the pool stops growing, and from then on
+// agents left idle for a whole sample are retired (never going below min)
+export class TunnelScaler {
+    constructor(agentPool, options = {}) {
+        this.agentPool = agentPool
+        this.min = options.min || 1
+        this.max = options.max || 16
+        this.verbose = options.verbose || false
+
+        this.timer = null
+        this.growing = true
+        this.adding = false
+        this.bestRate = 0
+        this.sampleBytes = 0
+        this.sampleTime = 0
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            fileLog("TunnelScaler", ...args)
+        }
+    }
+
+    start() {
+        this.resetSample()
+        this.timer = setInterval(() => this.sample(), SAMPLE_MS)
+    }
+
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    resetSample() {
+        this.sampleBytes = this.agentPool.bytesTransferred
+        this.sampleTime = Date.now()
+    }
+
+    async sample() {
+        // Agents from the last step are still connecting - measure once they are all taking work
+        if (this.adding) return
+
+        const now = Date.now()
+        const rate = ((this.agentPool.bytesTransferred - this.sampleBytes) * 1000) / Math.max(1, now - this.sampleTime)
+        this.resetSample()
+
+        const agents = this.agentPool.agents.filter((a) => a.ready && !a.unhealthy)
+
+        if (this.growing) {
+            // Only a pool with no spare agents can tell whether more would help
+            const saturated = agents.length > 0 && agents.every((a) => a.inflight > 0)
+            if (!saturated) return
+
+            if (this.bestRate > 0 && rate < this.bestRate * (1 + MIN_GAIN)) {
+                this.growing = false
+                this.log(`Throughput plateaued at ${Math.round(rate)} bytes/s with ${agents.length} agents`)
+            } else {
+                this.bestRate = Math.max(this.bestRate, rate)
+                if (this.agentPool.agents.length < this.max) {
+                    await this.grow(Math.min(GROW_STEP, this.max - this.agentPool.agents.length), rate)
+                }
+                return
+            }
+        }
+
+        this.retireIdle(now)
+    }
+
+    async grow(count, rate) {
+        this.log(`Throughput ${Math.round(rate)} bytes/s with ${this.agentPool.agents.length} agents, adding ${count}`)
+        this.adding = true
+        try {
+            const added = await Promise.all(Array.from({ length: count }, () => this.agentPool.addAgent()))
+            if (!added.some(Boolean)) {
+                // The server won't take more connections - stay at this size
+                this.growing = false
+            }
+        } finally {
+            this.adding = false
+            this.resetSample()
+        }
+    }
+
+    retireIdle(now) {
+        const idle = this.agentPool.agents.filter((a) => a.ready && a.inflight === 0 && now - a.lastActive >= SAMPLE_MS)
+        for (const agent of idle) {
+            if (this.agentPool.agents.length <= this.min) break
+            this.log(`Retiring idle agent ${agent.id}`)
+            this.agentPool.retireAgent(agent)
+        }
+    }
+}
@@ -0,0 +1,137 @@
+import fs from "fs"
+import { createHash } from "crypto"
+import { log as fileLog } from "./Logger.js"
+
+export class Uploader {
+    constructor(options = {}) {
+        this.verbose = options.verbose || false
+        this.verify = options.verify || null // Hash algorithm for checksum verification, or null
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            fileLog("Uploader", ...args)
+        }
+    }
+
+    // Returns a readChunk(size) function reading sequentially from fd starting at position
+    chunkReader(fd, position) {
+        return (size) => {
+            const buf = Buffer.alloc(size)
+            let filled = 0
+            while (filled < size) {
+                const n = fs.readSync(fd, buf, filled, size - filled, position + filled)
+                if (n === 0) {
+                    throw new Error(`Local file shrank while uploading (short read at ${position + filled})`)
+                }
+                filled += n
+            }
+            position += size
+            return buf
+        }
+    }
+
+    async uploadFile(options) {
+        const { agentPool, agent, localPath, remotePath, fileSize, mode, mtime, onProgress } = options
+
+        const tempPath = `${remotePath}.sshget.tmp`
+
+        this.log("Uploading:", localPath, "to", tempPath)
+
+        await agentPool.createRemoteFile(agent, tempPath, fileSize)
+
+        const fd = fs.openSync(localPath, "r")
+        const hash = this.verify ? createHash(this.verify) : null
+        let bytesSent = 0
+
+        try {
+            await agentPool.writeRangeStreaming(agent, tempPath, 0, fileSize, this.chunkReader(fd, 0), (chunk) => {
+                hash?.update(chunk)
+                bytesSent += chunk.length
+                if (onProgress) {
+                    onProgress(chunk.length)
+                }
+            })
+        } finally {
+            fs.closeSync(fd)
+        }
+
+        // Check what landed in the temp file before it is renamed into place
+        if (hash) {
+            await this.verifyDigest(agentPool, agent, tempPath, 0, fileSize, hash.digest("hex"))
+        }
+
+        // Rename temp to final (with permissions and timestamps applied first)
+        await agentPool.finalizeRemoteFile(agent, tempPath, remotePath, mode, mtime)
+
+        this.log("Uploaded:", remotePath, bytesSent, "bytes")
+        return { bytesSent }
+    }
+
+    async uploadRange(options) {
+        const { agentPool, agent, localPath, remotePath, rangeStart, rangeEnd, onProgress } = options
+
+        const tempPath = `${remotePath}.sshget.tmp`
+        const length = rangeEnd - rangeStart + 1
+
+        this.log("Uploading range:", localPath, `bytes=${rangeStart}-${rangeEnd}`)
+
+        const fd = fs.openSync(localPath, "r")
+        const hash = this.verify ? createHash(this.verify) : null
+        let bytesSent = 0
+
+        try {
+            await agentPool.writeRangeStreaming(
+                agent,
+                tempPath,
+                rangeStart,
+                length,
+                this.chunkReader(fd, rangeStart),
+                (chunk) => {
+                    hash?.update(chunk)
+                    bytesSent += chunk.length
+                    if (onProgress) {
+                        onProgress(chunk.length)
+                    }
+                }
+            )
+        } finally {
+            fs.closeSync(fd)
+        }
+
+        if (hash) {
+            await this.verifyDigest(agentPool, agent, tempPath, rangeStart, length, hash.digest("hex"))
+        }
+
+        this.log("Uploaded range:", rangeStart, "-", rangeEnd, ":", bytesSent, "bytes")
+        return { bytesSent }
+    }
+
+    // Throws if the remote digest of the range differs from what was sent
+    async verifyDigest(agentPool, agent, remotePath, offset, length, localDigest) {
+        const remoteDigest = await agentPool.hashRange(agent, remotePath, offset, length, this.verify)
+        if (remoteDigest !== localDigest) {
+            throw new Error(
+                `Checksum mismatch for ${remotePath} bytes=${offset}-${offset + length - 1}: ` +
+                    `local ${this.verify}=${localDigest}, remote ${this.verify}=${remoteDigest}`
+            )
+        }
+        this.log("Verified:", remotePath, `bytes=${offset}-${offset + length - 1}`, `${this.verify}=${localDigest}`)
+    }
+
+    async preallocateFile(agentPool, agent, remotePath, size) {
+        const tempPath = `${remotePath}.sshget.tmp`
+
+        // The agent truncates the temp file to size, leaving it sparse until ranges arrive
+        await agentPool.createRemoteFile(agent, tempPath, size)
+
+        this.log("Preallocated remote file:", tempPath, "size:", size)
+    }
+
+    async finalizeFile(agentPool, agent, remotePath, mode, mtime) {
+        const tempPath = `${remotePath}.sshget.tmp`
+        await agentPool.finalizeRemoteFile(agent, tempPath, remotePath, mode, mtime)
+
+        this.log("Finalized:", remotePath)
+    }
+}
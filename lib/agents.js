@@ -0,0 +1,716 @@
+// Fallback agents for remotes without python3. Both speak the binary protocol described above PYTHON_AGENT in
+// AgentPool.js, so the pool drives them exactly like the Python agent; they differ only in which ops they implement.
+
+// Perl 5 agent - implements every op. Numbers are packed as two 32-bit halves so it also runs on Perls built
+// without 64-bit integers, and the digest modules are loaded on first use so hashing is all that fails without them
+export const PERL_AGENT = `
+use strict;
+use warnings;
+use Fcntl qw(:mode);
+use File::Path qw(mkpath);
+use File::Basename qw(dirname);
+
+binmode STDIN;
+binmode STDOUT;
+my $PROTOCOL = 2; # Must match PROTOCOL_VERSION in AgentPool.js
+my $CHUNK = 262144;
+my $LIST_BLOCK = 1048576;
+
+sub logmsg {
+    print STDERR "[agent] $_[0]\\n" if $ENV{SSHGET_DEBUG};
+}
+
+sub read_exact {
+    my ($n) = @_;
+    my $d = '';
+    while (length($d) < $n) {
+        my $r = sysread(STDIN, $d, $n - length($d), length($d));
+        if (!$r) {
+            logmsg("stdin closed, exiting (had " . length($d) . "/$n bytes)");
+            exit 0;
+        }
+    }
+    return $d;
+}
+
+sub write_all {
+    my ($data) = @_;
+    my $off = 0;
+    while ($off < length($data)) {
+        my $w = syswrite(STDOUT, $data, length($data) - $off, $off);
+        die "write failed: $!\\n" unless defined $w;
+        $off += $w;
+    }
+}
+
+sub u64 {
+    my ($v) = @_;
+    return pack('NN', int($v / 4294967296), $v % 4294967296);
+}
+
+sub read_u64 {
+    my ($hi, $lo) = unpack('NN', read_exact(8));
+    return $hi * 4294967296 + $lo;
+}
+
+sub read_path {
+    my $pl = unpack('n', read_exact(2));
+    return read_exact($pl);
+}
+
+sub send_header {
+    my ($status, $len) = @_;
+    write_all(pack('C', $status) . u64($len));
+}
+
+sub send_ok {
+    send_header(0, 0);
+}
+
+sub send_error {
+    my $err = substr($_[0], 0, 1000);
+    $err =~ s/\\s+$//;
+    send_header(1, length($err));
+    write_all($err);
+}
+
+sub send_range {
+    my ($path, $off, $ln) = @_;
+    my $f;
+    if (!open($f, '<', $path)) {
+        send_error("$!: $path");
+        return;
+    }
+    # A directory opens fine but can't be read - refuse it while an error response can still go out
+    if (-d $f) {
+        send_error("Is a directory: $path");
+        close($f);
+        return;
+    }
+    binmode $f;
+    # Actual read length from the file size (ln undef reads to EOF)
+    my $size = (stat($f))[7];
+    my $actual = $size > $off ? $size - $off : 0;
+    $actual = $ln if defined($ln) && $ln < $actual;
+    if ($actual > 0 && !sysseek($f, $off, 0)) {
+        send_error("$!: $path");
+        close($f);
+        return;
+    }
+    send_header(0, $actual);
+
+    my $sent = 0;
+    while ($sent < $actual) {
+        my $want = $actual - $sent;
+        $want = $CHUNK if $want > $CHUNK;
+        my $r = sysread($f, my $data, $want);
+        if (!$r) {
+            logmsg("unexpected EOF at $sent/$actual");
+            last;
+        }
+        write_all($data);
+        $sent += $r;
+    }
+    close($f);
+    logmsg("sent $sent bytes");
+}
+
+sub op_read {
+    my ($path) = @_;
+    my $off = read_u64();
+    my $ln = read_u64();
+    logmsg("read: $path offset=$off len=$ln");
+    send_range($path, $off, $ln);
+}
+
+sub op_batch {
+    my $count = unpack('N', read_exact(4));
+    my @paths = map { read_path() } 1 .. $count;
+    logmsg("batch: $count files");
+    send_range($_, 0, undef) for @paths;
+}
+
+sub op_create {
+    my ($path) = @_;
+    my $size = read_u64();
+    logmsg("create: $path size=$size");
+
+    my $parent = dirname($path);
+    eval { mkpath($parent) unless -d $parent; 1 } or do {
+        send_error("$@");
+        return;
+    };
+    my $f;
+    if (!open($f, '>', $path) || !truncate($f, $size)) {
+        send_error("$!: $path");
+        return;
+    }
+    close($f);
+    send_ok();
+}
+
+sub op_write {
+    my ($path) = @_;
+    my $off = read_u64();
+    my $ln = read_u64();
+    logmsg("write: $path offset=$off len=$ln");
+
+    my $err;
+    my $f;
+    if (!open($f, '+<', $path)) {
+        $err = "$!: $path";
+    } else {
+        binmode $f;
+        $err = "$!: $path" unless sysseek($f, $off, 0);
+    }
+
+    # Always consume the full payload so the stream stays in sync, even after an error
+    my $remaining = $ln;
+    while ($remaining > 0) {
+        my $data = read_exact($remaining > $CHUNK ? $CHUNK : $remaining);
+        $remaining -= length($data);
+        next if defined $err;
+        my $w = 0;
+        while ($w < length($data)) {
+            my $n = syswrite($f, $data, length($data) - $w, $w);
+            if (!defined $n) {
+                $err = "$!: $path";
+                last;
+            }
+            $w += $n;
+        }
+    }
+    if ($f && !close($f)) {
+        $err //= "$!: $path";
+    }
+
+    if (defined $err) {
+        logmsg("error: $err");
+        send_error($err);
+    } else {
+        send_ok();
+    }
+}
+
+sub op_finalize {
+    my ($path) = @_;
+    my $dest = read_path();
+    my $mode = unpack('N', read_exact(4));
+    my $mtime = read_u64();
+    logmsg(sprintf("finalize: %s -> %s mode=%o mtime=%d", $path, $dest, $mode, $mtime));
+
+    if (chmod($mode, $path) && utime($mtime, $mtime, $path) && rename($path, $dest)) {
+        send_ok();
+    } else {
+        send_error("$!: $path");
+    }
+}
+
+sub op_hash {
+    my ($path) = @_;
+    my $off = read_u64();
+    my $ln = read_u64();
+    my $al = unpack('C', read_exact(1));
+    my $algo = read_exact($al);
+    logmsg("hash: $path offset=$off len=$ln algo=$algo");
+
+    my $digest = eval {
+        my $h;
+        if ($algo eq 'md5') {
+            require Digest::MD5;
+            $h = Digest::MD5->new;
+        } else {
+            require Digest::SHA;
+            $h = Digest::SHA->new($algo) or die "unsupported hash type $algo\\n";
+        }
+        open(my $f, '<', $path) or die "$!: $path\\n";
+        binmode $f;
+        sysseek($f, $off, 0) or die "$!: $path\\n" if $off > 0;
+        my $remaining = $ln;
+        while ($remaining > 0) {
+            my $r = sysread($f, my $data, $remaining > $CHUNK * 4 ? $CHUNK * 4 : $remaining);
+            last unless $r;
+            $h->add($data);
+            $remaining -= $r;
+        }
+        close($f);
+        $h->hexdigest;
+    };
+    if (!defined $digest) {
+        logmsg("error: $@");
+        send_error("$@");
+        return;
+    }
+    send_header(0, length($digest));
+    write_all($digest);
+}
+
+sub entry_type {
+    my ($mode) = @_;
+    return 'f' if S_ISREG($mode);
+    return 'd' if S_ISDIR($mode);
+    return 'l' if S_ISLNK($mode);
+    return 'o';
+}
+
+sub op_list {
+    my ($path) = @_;
+    logmsg("list: $path");
+    my $block = '';
+    my $flushed = time();
+
+    my $flush = sub {
+        if (length($block)) {
+            send_header(0, length($block));
+            write_all($block);
+        }
+        $block = '';
+        $flushed = time();
+    };
+
+    my $emit = sub {
+        my ($rel, $st, $flags, $target) = @_;
+        my $kind = entry_type($st->[2]);
+        my $mtime = $st->[9] > 0 ? int($st->[9]) : 0;
+        my $rec = pack('aCN', $kind, $flags, $st->[2] & 07777) . u64($st->[7]) . u64($mtime) . pack('n', length($rel)) . $rel;
+        $rec .= pack('n', length($target)) . $target if $kind eq 'l';
+        $block .= $rec;
+        # Flush on size, and on time so slow walks keep the stream alive
+        $flush->() if length($block) >= $LIST_BLOCK || time() - $flushed >= 1;
+    };
+
+    my $follow = read_exact(1) ne "\\0";
+    my @rules;
+    for (1 .. unpack('n', read_exact(2))) {
+        my $flags = unpack('C', read_exact(1));
+        push @rules, [$flags & 1, $flags & 2, read_path()];
+    }
+    for my $rule (@rules) {
+        my $src = $rule->[2];
+        utf8::decode($src);
+        # $ would also match before a trailing newline
+        $src =~ s/\\$\\z/\\\\z/;
+        $rule->[2] = eval { qr/$src/ } or do {
+            send_error("Invalid filter $src: $@");
+            return;
+        };
+    }
+
+    # First matching rule decides (see PathFilter)
+    my $skip = sub {
+        my ($rel, $is_dir) = @_;
+        utf8::decode($rel);
+        for my $rule (@rules) {
+            my ($include, $dir_only, $rx) = @$rule;
+            return !$include if ($is_dir || !$dir_only) && $rel =~ $rx;
+        }
+        return 0;
+    };
+
+    my @root = stat($path);
+    if (!@root) {
+        send_error("$!: $path");
+        return;
+    }
+    $emit->('', \\@root, 0);
+    if (S_ISDIR($root[2])) {
+        # Each directory carries the dev:ino of its ancestors for loop detection when following links
+        my @stack = ([$path, '', { "$root[0]:$root[1]" => 1 }]);
+        while (@stack) {
+            my ($dir, $rel, $ancestors) = @{ pop @stack };
+            my $dh;
+            if (!opendir($dh, $dir)) {
+                next if $!{ENOENT}; # Removed since it was listed
+                $flush->();
+                send_error("$!: $dir");
+                return;
+            }
+            my @names = grep { $_ ne '.' && $_ ne '..' } readdir($dh);
+            closedir($dh);
+            for my $name (@names) {
+                my $full = "$dir/$name";
+                my $child = length($rel) ? "$rel/$name" : $name;
+                my @st = lstat($full) or next;
+                my $flags = 0;
+                if (S_ISLNK($st[2])) {
+                    my $target = readlink($full) // '';
+                    if (!$follow) {
+                        $emit->($child, \\@st, 0, $target) unless $skip->($child, 0);
+                        next;
+                    }
+                    my @resolved = stat($full);
+                    if (!@resolved) {
+                        $emit->($child, \\@st, 2, $target) unless $skip->($child, 0);
+                        next;
+                    }
+                    if (S_ISDIR($resolved[2]) && $ancestors->{"$resolved[0]:$resolved[1]"}) {
+                        logmsg("symlink loop: $child -> $target");
+                        $emit->($child, \\@st, 2, $target) unless $skip->($child, 0);
+                        next;
+                    }
+                    @st = @resolved;
+                    $flags = 1;
+                }
+                # Excluded directories are never walked
+                next if $skip->($child, S_ISDIR($st[2]));
+                $emit->($child, \\@st, $flags);
+                if (S_ISDIR($st[2])) {
+                    push @stack, [$full, $child, { %$ancestors, "$st[0]:$st[1]" => 1 }];
+                }
+            }
+        }
+    }
+    $flush->();
+    send_ok();
+}
+
+my %OPS = (R => \\&op_read, B => \\&op_batch, T => \\&op_create, W => \\&op_write, F => \\&op_finalize, H => \\&op_hash, L => \\&op_list);
+
+sub send_hello {
+    my @hashes = eval { require Digest::SHA; 1 } ? ('sha256', 'sha1') : ();
+    push @hashes, 'md5' if eval { require Digest::MD5; 1 };
+    my $hello = join("\\n",
+        'sshget-agent',
+        "protocol=$PROTOCOL",
+        'agent=perl',
+        sprintf('version=%vd', $^V),
+        "platform=$^O",
+        'ops=' . join('', sort keys %OPS),
+        'hashes=' . join(',', @hashes));
+    send_header(0, length($hello));
+    write_all($hello);
+}
+
+send_hello();
+
+# Main loop - an error escaping an op leaves the stream in an unknown state, so report it and exit
+while (1) {
+    eval {
+        my $op = read_exact(1);
+        my $path = read_path();
+        my $handler = $OPS{$op} or die "unknown op '$op'\\n";
+        $handler->($path);
+        1;
+    } or do {
+        my $e = $@;
+        logmsg("fatal error in main loop: $e");
+        eval { send_error("Agent error: $e") };
+        exit 1;
+    };
+}
+`.trim()
+
+// The external commands SH_AGENT runs - the pool's probe checks for all of them (the *sum tools are optional, the
+// hello reports which exist)
+export const SH_AGENT_COMMANDS = [
+    "cat",
+    "cut",
+    "dd",
+    "head",
+    "mktemp",
+    "od",
+    "readlink",
+    "rm",
+    "stat",
+    "tail",
+    "tr",
+    "uname",
+    "wc"
+]
+
+// POSIX sh agent for boxes with little more than a shell - reads ranges with dd, so it handles downloads (R, B, L,
+// and H when sha256sum/sha1sum/md5sum exist) but not uploads. Request headers are read a byte at a time with dd and
+// decoded with od, responses are encoded with printf octal escapes, and listing needs stat -c and readlink
+export const SH_AGENT = `
+export LC_ALL=C
+PROTOCOL=2 # Must match PROTOCOL_VERSION in AgentPool.js
+list_tmp=""
+trap '[ -n "$list_tmp" ] && rm -f "$list_tmp"' EXIT
+
+log() {
+    [ -n "$SSHGET_DEBUG" ] && printf '[agent] %s\\n' "$*" >&2
+    return 0
+}
+
+# read_bytes N - the next N request bytes as decimal numbers, exiting when stdin closes
+read_bytes() {
+    bytes=$(dd bs=1 count="$1" 2>/dev/null | od -An -tu1 -v)
+    set -- "$1" $bytes
+    if [ $(($# - 1)) -lt "$1" ]; then
+        log "stdin closed, exiting"
+        exit 0
+    fi
+}
+
+# read_num N - a big-endian unsigned number of N bytes into num
+read_num() {
+    read_bytes "$1"
+    num=0
+    for b in $bytes; do
+        num=$((num * 256 + b))
+    done
+}
+
+# read_str N - N raw bytes into str, kept byte-exact (trailing newlines included)
+read_str() {
+    str=""
+    [ "$1" -eq 0 ] && return
+    read_bytes "$1"
+    esc=""
+    for b in $bytes; do
+        esc="$esc\\\\$((b / 64))$((b / 8 % 8))$((b % 8))"
+    done
+    str=$(printf "$esc"; printf x)
+    str=\${str%x}
+}
+
+# put_num N VALUE - VALUE as N big-endian bytes
+put_num() {
+    n=$1
+    esc=""
+    while [ "$n" -gt 0 ]; do
+        n=$((n - 1))
+        b=$((($2 >> (n * 8)) & 255))
+        esc="$esc\\\\$((b / 64))$((b / 8 % 8))$((b % 8))"
+    done
+    printf "$esc"
+}
+
+send_header() {
+    put_num 1 "$1"
+    put_num 8 "$2"
+}
+
+send_error() {
+    msg=$(printf '%s' "$1" | head -c 1000)
+    send_header 1 \${#msg}
+    printf '%s' "$msg"
+}
+
+# copy_range PATH OFFSET LENGTH [EOF] - LENGTH bytes from OFFSET, with dd's block size the largest power of two
+# that OFFSET and LENGTH are multiples of. When the range runs to EOF (EOF=1) the last block may be partial
+copy_range() {
+    bs=1048576
+    while [ "$bs" -gt 1 ] && { [ $(($2 % bs)) -ne 0 ] || { [ -z "$4" ] && [ $(($3 % bs)) -ne 0 ]; }; }; do
+        bs=$((bs / 2))
+    done
+    if [ "$bs" -lt 4096 ]; then
+        tail -c +$(($2 + 1)) "$1" | head -c "$3"
+    elif [ -n "$4" ]; then
+        # Stop at LENGTH even if the file has grown since its size was sent
+        dd if="$1" bs="$bs" skip=$(($2 / bs)) count=$((($3 + bs - 1) / bs)) 2>/dev/null | head -c "$3"
+    else
+        dd if="$1" bs="$bs" skip=$(($2 / bs)) count=$(($3 / bs)) 2>/dev/null
+    fi
+}
+
+file_size() {
+    size=$(wc -c <"$1" 2>/dev/null) || return 1
+    size=$((size + 0))
+}
+
+# send_range PATH OFFSET [LENGTH] - LENGTH omitted reads to EOF
+send_range() {
+    if [ ! -r "$1" ] || ! file_size "$1"; then
+        send_error "cannot read $1"
+        return
+    fi
+    actual=$((size > $2 ? size - $2 : 0))
+    [ -n "$3" ] && [ "$3" -lt "$actual" ] && actual=$3
+    send_header 0 "$actual"
+    if [ "$actual" -gt 0 ]; then
+        eof=""
+        [ $(($2 + actual)) -eq "$size" ] && eof=1
+        copy_range "$1" "$2" "$actual" $eof
+    fi
+    log "sent $actual bytes"
+}
+
+op_read() {
+    read_num 8
+    off=$num
+    read_num 8
+    log "read: $1 offset=$off len=$num"
+    send_range "$1" "$off" "$num"
+}
+
+op_batch() {
+    read_num 4
+    count=$num
+    log "batch: $count files"
+    # Paths must all be read before any response goes out, so they are collected as positional parameters
+    set --
+    i=0
+    while [ "$i" -lt "$count" ]; do
+        read_num 2
+        read_str "$num"
+        set -- "$@" "$str"
+        i=$((i + 1))
+    done
+    for p in "$@"; do
+        send_range "$p" 0
+    done
+}
+
+op_hash() {
+    read_num 8
+    off=$num
+    read_num 8
+    ln=$num
+    read_num 1
+    read_str "$num"
+    algo=$str
+    log "hash: $1 offset=$off len=$ln algo=$algo"
+    case "$algo" in
+        md5 | sha1 | sha224 | sha256 | sha384 | sha512) ;;
+        *)
+            send_error "unsupported hash type $algo"
+            return
+            ;;
+    esac
+    if ! command -v "\${algo}sum" >/dev/null 2>&1; then
+        send_error "\${algo}sum is not available"
+        return
+    fi
+    if [ ! -r "$1" ]; then
+        send_error "cannot read $1"
+        return
+    fi
+    digest=$(copy_range "$1" "$off" "$ln" | "\${algo}sum" | cut -d ' ' -f 1)
+    send_header 0 \${#digest}
+    printf '%s' "$digest"
+}
+
+# list_record REL FLAGS STAT [TARGET] - append one entry (STAT is "rawmode-hex size mtime") to the listing block
+list_record() {
+    set -- "$1" "$2" $3 "$4"
+    mode=$((0x$3))
+    case $((mode & 0xF000)) in
+        $((0x8000))) kind=f ;;
+        $((0x4000))) kind=d ;;
+        $((0xA000))) kind=l ;;
+        *) kind=o ;;
+    esac
+    {
+        printf '%s' "$kind"
+        put_num 1 "$2"
+        put_num 4 $((mode & 0xFFF))
+        put_num 8 "$4"
+        put_num 8 $(($5 > 0 ? $5 : 0))
+        put_num 2 \${#1}
+        printf '%s' "$1"
+        if [ "$kind" = l ]; then
+            put_num 2 \${#6}
+            printf '%s' "$6"
+        fi
+    } >>"$list_tmp"
+    [ "$kind" = d ]
+}
+
+flush_list() {
+    file_size "$list_tmp"
+    if [ "$size" -gt 0 ]; then
+        send_header 0 "$size"
+        cat "$list_tmp"
+        : >"$list_tmp"
+    fi
+}
+
+# list_dir DIR REL ANCESTORS - ANCESTORS holds " dev:ino " of every directory above, for loop detection
+list_dir() {
+    for entry in "$1"/* "$1"/.[!.]* "$1"/..?*; do
+        [ -e "$entry" ] || [ -L "$entry" ] || continue
+        name=\${entry##*/}
+        child=\${2:+$2/}$name
+        flags=0
+        target=""
+        if [ -L "$entry" ]; then
+            # readlink ends its output with a newline, which goes along with the x
+            target=$(readlink "$entry"; printf x)
+            target=\${target%?x}
+            if [ "$follow" = 1 ]; then
+                if ! id=$(stat -L -c '%d:%i' "$entry" 2>/dev/null); then
+                    flags=2
+                elif [ -d "$entry" ] && case "$3" in *" $id "*) true ;; *) false ;; esac; then
+                    log "symlink loop: $child -> $target"
+                    flags=2
+                else
+                    flags=1
+                fi
+            fi
+        fi
+        if [ "$flags" = 1 ]; then
+            st=$(stat -L -c '%f %s %Y' "$entry") || continue
+        else
+            st=$(stat -c '%f %s %Y' "$entry") || continue
+        fi
+        [ "$flags" = 1 ] && target=""
+        if list_record "$child" "$flags" "$st" "$target"; then
+            id=$(stat -L -c '%d:%i' "$entry")
+            # Recurse in a subshell so this level's variables survive
+            (list_dir "$entry" "$child" "$3 $id ") || return 1
+        fi
+    done
+    flush_list
+}
+
+op_list() {
+    read_num 1
+    follow=$num
+    # Filter rules are left to the client - this agent lists everything
+    read_num 2
+    rules=$num
+    while [ "$rules" -gt 0 ]; do
+        read_num 1
+        read_num 2
+        read_str "$num"
+        rules=$((rules - 1))
+    done
+    log "list: $1"
+    if ! st=$(stat -L -c '%f %s %Y' "$1" 2>/dev/null) || ! list_tmp=$(mktemp); then
+        send_error "cannot stat $1"
+        return
+    fi
+    if list_record "" 0 "$st" && ! list_dir "$1" "" " $(stat -L -c '%d:%i' "$1") "; then
+        send_error "listing $1 failed"
+        return
+    fi
+    flush_list
+    rm -f "$list_tmp"
+    list_tmp=""
+    send_header 0 0
+}
+
+send_hello() {
+    hashes=""
+    for a in sha256 sha1 md5; do
+        command -v "\${a}sum" >/dev/null 2>&1 && hashes=\${hashes:+$hashes,}$a
+    done
+    platform=$(uname -s 2>/dev/null | tr 'A-Z' 'a-z')
+    hello=$(printf 'sshget-agent\\nprotocol=%s\\nagent=sh\\nversion=posix\\nplatform=%s\\nops=RBHL\\nhashes=%s' \\
+        "$PROTOCOL" "\${platform:-unknown}" "$hashes")
+    send_header 0 \${#hello}
+    printf '%s' "$hello"
+}
+
+send_hello
+
+# Main loop - an unknown op means the request length is unknown, so the stream can't be recovered
+while :; do
+    read_str 1
+    op=$str
+    read_num 2
+    read_str "$num"
+    case "$op" in
+        R) op_read "$str" ;;
+        B) op_batch "$str" ;;
+        H) op_hash "$str" ;;
+        L) op_list "$str" ;;
+        *)
+            log "fatal error in main loop: unsupported op $op"
+            send_error "Agent error: unsupported op $op"
+            exit 1
+            ;;
+    esac
+done
+`.trim()
@@ -1,4 +1,8 @@
 export { SSHGet } from "./SSHGet.js"
+export { SSHPut } from "./SSHPut.js"
 export { ProgressDisplay } from "./ProgressDisplay.js"
+export { JsonReporter } from "./JsonReporter.js"
 export { AgentPool } from "./AgentPool.js"
 export { Downloader } from "./Downloader.js"
+export { Uploader } from "./Uploader.js"
+export { SSHTransport, LocalTransport, CommandTransport } from "./Transport.js"
@@ -0,0 +1,41 @@
+const SIZE_UNITS = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 }
+
+// Parse a human-friendly byte size ("512", "64K", "32M", "1.5G", "20MB") into a number of bytes
+export function parseSize(value) {
+    if (typeof value === "number") return value
+    const match = String(value)
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?$/i)
+    if (!match) {
+        throw new Error(`Invalid size: ${value}. Expected a number with an optional K, M, G or T suffix`)
+    }
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()])
+}
+
+// Format a byte count for display ("0 B", "512 B", "1.5 MB")
+export function formatSize(bytes) {
+    if (bytes === 0) return "0 B"
+    const units = ["B", "KB", "MB", "GB", "TB"]
+    const i = Math.max(0, Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1))
+    return (bytes / Math.pow(1024, i)).toFixed(i > 0 ? 1 : 0) + " " + units[i]
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000 }
+
+// Parse a human-friendly duration ("90s", "15m", "24h", "2d", "1w", "1.5h") into milliseconds. A bare number means
+// seconds, whether it comes as a number or a string
+export function parseDuration(value) {
+    if (typeof value === "number") {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid duration: ${value}. Expected a number of seconds`)
+        }
+        return Math.round(value * 1000)
+    }
+    const match = String(value)
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i)
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}. Expected a number with an optional s, m, h, d or w suffix`)
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || "s").toLowerCase()])
+}
@@ -0,0 +1,41 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { join } from "path"
+import { AgentPool, AGENT_KINDS } from "../lib/AgentPool.js"
+import { tempDir, writeTree } from "./helpers.js"
+
+for (const agent of AGENT_KINDS) {
+    test(`a batch reports an unreadable entry and still delivers the rest with the ${agent} agent`, async () => {
+        const root = tempDir()
+        // sub is a directory - it lists with a size but can't be read as a file
+        writeTree(root, { "a.txt": "alpha\n", "b.txt": "bravo\n", "sub/c.txt": "charlie\n" })
+
+        const pool = new AgentPool({ host: "local", tunnels: 1, agent })
+        await pool.connect()
+        try {
+            const results = []
+            const handlers = {
+                onStart: (i) => (results[i] = ""),
+                onData: (i, chunk) => (results[i] += chunk.toString()),
+                onEnd: () => {},
+                onError: (i, message) => (results[i] = { error: message })
+            }
+            const paths = ["a.txt", "sub", "b.txt"].map((name) => join(root, name))
+            await pool.readBatchStreaming(pool.acquire(), paths, handlers)
+
+            assert.equal(results[0], "alpha\n")
+            assert.ok(results[1].error)
+            assert.equal(results[2], "bravo\n")
+        } finally {
+            await pool.close()
+        }
+    })
+}
+
+test("a host that can't be reached is named in the error", async () => {
+    // The wrapper exits at once without running anything, like a container that doesn't exist
+    const pool = new AgentPool({ host: "web2", transport: "false {host}", tunnels: 1 })
+
+    await assert.rejects(pool.connect(), { message: "Could not probe web2: Remote command failed with exit code 1" })
+    await pool.close()
+})
@@ -0,0 +1,57 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { spawnSync } from "child_process"
+import { fileURLToPath } from "url"
+import { readTree, tempDir, writeTree } from "./helpers.js"
+
+const BIN = fileURLToPath(new URL("../bin/sshget.js", import.meta.url))
+
+// Run the CLI to completion, returning { status, stdout, stderr }
+function sshget(...args) {
+    return spawnSync(process.execPath, [BIN, ...args], { encoding: "utf8", timeout: 60000 })
+}
+
+for (const value of ["abc", "", "-1", "1.5"]) {
+    test(`rejects --max-delete ${JSON.stringify(value)}`, () => {
+        const { status, stderr } = sshget("--sync", "--max-delete", value, "local:/src/", "dest/")
+
+        assert.notEqual(status, 0)
+        assert.match(stderr, /--max-delete <n>' argument .* is invalid/)
+    })
+}
+
+test("--backup takes no value, so the next source is still downloaded", () => {
+    const remote = tempDir()
+    writeTree(remote, { "a.txt": "new a\n", "b.txt": "new b\n" })
+    const local = tempDir()
+    writeTree(local, { "a.txt": "previous a\n" })
+
+    const { status, stderr } = sshget("--no-progress", "--backup", `local:${remote}/a.txt`, `local:${remote}/b.txt`, `${local}/`)
+
+    assert.equal(status, 0, stderr)
+    assert.deepEqual(readTree(local), {
+        "a.txt": Buffer.from("new a\n"),
+        "a.txt~": Buffer.from("previous a\n"),
+        "b.txt": Buffer.from("new b\n")
+    })
+})
+
+test("--backup-suffix names the suffix and implies --backup", () => {
+    const remote = tempDir()
+    writeTree(remote, { "a.txt": "new a\n" })
+    const local = tempDir()
+    writeTree(local, { "a.txt": "old a\n" })
+
+    const { status, stderr } = sshget(
+        "--skip",
+        "never",
+        "--backup-suffix",
+        ".orig",
+        "--no-progress",
+        `local:${remote}/a.txt`,
+        `${local}/`
+    )
+
+    assert.equal(status, 0, stderr)
+    assert.deepEqual(readTree(local), { "a.txt": Buffer.from("new a\n"), "a.txt.orig": Buffer.from("old a\n") })
+})
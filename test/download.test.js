@@ -0,0 +1,126 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { existsSync, mkdirSync, statSync, writeFileSync } from "fs"
+import { dirname, join } from "path"
+import { SSHGet } from "../lib/index.js"
+import { AGENT_KINDS } from "../lib/AgentPool.js"
+import { randomBytes, readTree, tempDir, writeTree } from "./helpers.js"
+
+// Small files go out in batches, big.bin (over parallelThreshold) as ranges
+const FILES = {
+    "a.txt": "alpha\n",
+    "sub/b.txt": "bravo\n",
+    "sub/deeper/c.log": "charlie\n",
+    "big.bin": randomBytes(600 * 1024)
+}
+
+function remoteTree() {
+    const remote = join(tempDir(), "tree")
+    writeTree(remote, FILES)
+    return remote
+}
+
+function download(source, destination, options = {}) {
+    const sshget = new SSHGet({ source: `local:${source}`, destination, tunnels: 2, parallelThreshold: 256 * 1024, ...options })
+    const events = { started: [], skipped: [], deleted: [] }
+    sshget.on("file:start", ({ file, job }) => events.started.push({ file, start: job.rangeStart, end: job.rangeEnd }))
+    sshget.on("file:skip", ({ file }) => events.skipped.push(file))
+    sshget.on("file:delete", ({ file }) => events.deleted.push(file))
+    sshget.on("error", () => {})
+    return sshget.download().then((result) => ({ ...result, ...events }))
+}
+
+for (const agent of AGENT_KINDS) {
+    test(`downloads a directory tree with the ${agent} agent`, async () => {
+        const remote = remoteTree()
+        const local = tempDir()
+
+        const result = await download(remote, local, { agent })
+
+        assert.deepEqual(readTree(join(local, "tree")), readTree(remote))
+        assert.equal(result.files, Object.keys(FILES).length)
+        assert.equal(statSync(join(local, "tree/big.bin")).mtimeMs, 1700000000 * 1000)
+    })
+}
+
+test("skips files that are already up to date", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+
+    await download(remote, local)
+    const result = await download(remote, local)
+
+    assert.deepEqual(result.started, [])
+    assert.deepEqual(result.skipped.sort(), Object.keys(FILES).sort())
+})
+
+// What a --keep-partial run that got the first half of big.bin in before it stopped leaves behind
+function writePartial(localPath) {
+    const big = FILES["big.bin"]
+    const half = big.length / 2
+    mkdirSync(dirname(localPath), { recursive: true })
+    const partial = Buffer.alloc(big.length)
+    big.copy(partial, 0, 0, half)
+    writeFileSync(`${localPath}.sshget.tmp`, partial)
+    writeFileSync(`${localPath}.sshget.state`, JSON.stringify({ size: big.length, mtime: 1700000000, ranges: [[0, half - 1]] }))
+}
+
+test("resumes a split download from its state sidecar", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+    const big = FILES["big.bin"]
+    const half = big.length / 2
+    const localPath = join(local, "tree/big.bin")
+    writePartial(localPath)
+
+    const result = await download(join(remote, "big.bin"), join(local, "tree/"))
+
+    // Only the second half is fetched again
+    assert.deepEqual(result.started, [{ file: "big.bin", start: half, end: big.length - 1 }])
+    assert.deepEqual(readTree(join(local, "tree")), { "big.bin": big })
+    assert.equal(existsSync(`${localPath}.sshget.state`), false)
+})
+
+test("applies include/exclude filters and size limits", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+
+    await download(remote, local, { filters: [{ exclude: "*.log" }], maxSize: "100K" })
+
+    assert.deepEqual(Object.keys(readTree(join(local, "tree"))), ["a.txt", "sub/b.txt"])
+})
+
+test("sync deletes local files the remote doesn't have, apart from protected ones", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+    writeTree(join(local, "tree"), { "stale.txt": "old\n", "sub/stale/d.txt": "old\n", "keep.conf": "mine\n" })
+
+    const result = await download(remote, local, { sync: true, protect: ["*.conf"] })
+
+    assert.deepEqual(result.deleted.sort(), ["stale.txt", "sub/stale", "sub/stale/d.txt"])
+    assert.deepEqual(Object.keys(readTree(join(local, "tree"))), [...Object.keys(readTree(remote)), "keep.conf"].sort())
+})
+
+test("sync leaves a kept partial download alone", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+    writePartial(join(local, "tree/big.bin"))
+
+    // Nothing the remote has went away, so a limit of 0 holds
+    const result = await download(remote, local, { sync: true, maxDelete: 0 })
+
+    assert.deepEqual(result.deleted, [])
+    assert.deepEqual(readTree(join(local, "tree")), readTree(remote))
+})
+
+test("max-delete fails before transferring and keeps partial downloads", async () => {
+    const remote = remoteTree()
+    const local = tempDir()
+    const localPath = join(local, "tree/big.bin")
+    writePartial(localPath)
+    writeTree(join(local, "tree"), { "stale.txt": "old\n" })
+
+    await assert.rejects(download(remote, local, { sync: true, maxDelete: 0, keepPartial: true }), /Sync would delete 1 local/)
+
+    assert.deepEqual(Object.keys(readTree(join(local, "tree"))), ["big.bin.sshget.state", "big.bin.sshget.tmp", "stale.txt"])
+})
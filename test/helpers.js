@@ -0,0 +1,49 @@
+import { mkdtempSync, mkdirSync, readdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from "fs"
+import { tmpdir } from "os"
+import { dirname, join } from "path"
+import { after } from "node:test"
+
+// A fresh directory under the system temp dir, removed once the test file has run
+export function tempDir() {
+    const dir = mkdtempSync(join(tmpdir(), "sshget-test-"))
+    after(() => rmSync(dir, { recursive: true, force: true }))
+    return dir
+}
+
+// Create files from { "relative/path": contents }, giving each a whole-second mtime so listings compare exactly
+export function writeTree(root, files, mtime = 1700000000) {
+    for (const [path, contents] of Object.entries(files)) {
+        const fullPath = join(root, path)
+        mkdirSync(dirname(fullPath), { recursive: true })
+        writeFileSync(fullPath, contents)
+        utimesSync(fullPath, mtime, mtime)
+    }
+}
+
+// Every file under root as { "relative/path": Buffer }, in sorted order
+export function readTree(root) {
+    const files = {}
+    const walk = (relative) => {
+        for (const entry of readdirSync(join(root, relative), { withFileTypes: true })) {
+            const path = relative ? `${relative}/${entry.name}` : entry.name
+            if (entry.isDirectory()) {
+                walk(path)
+            } else {
+                files[path] = readFileSync(join(root, path))
+            }
+        }
+    }
+    walk("")
+    return Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+// Bytes that won't compress or line up by accident - the same for a given size and seed
+export function randomBytes(size, seed = 1) {
+    const buf = Buffer.alloc(size)
+    let x = seed
+    for (let i = 0; i < size; i++) {
+        x = (x * 1103515245 + 12345) & 0x7fffffff
+        buf[i] = x >>> 16
+    }
+    return buf
+}
@@ -0,0 +1,48 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { statSync } from "fs"
+import { join } from "path"
+import { SSHPut } from "../lib/index.js"
+import { randomBytes, readTree, tempDir, writeTree } from "./helpers.js"
+
+// big.bin is over parallelThreshold, so it goes up in ranges written into one preallocated temp file
+const FILES = {
+    "a.txt": "alpha\n",
+    "sub/b.txt": "bravo\n",
+    "big.bin": randomBytes(600 * 1024)
+}
+
+function upload(sources, destination, options = {}) {
+    const sshput = new SSHPut({
+        sources,
+        destination: `local:${destination}`,
+        tunnels: 2,
+        parallelThreshold: 256 * 1024,
+        ...options
+    })
+    sshput.on("error", () => {})
+    return sshput.upload()
+}
+
+test("uploads a directory tree", async () => {
+    const local = join(tempDir(), "tree")
+    writeTree(local, FILES)
+    const remote = tempDir()
+
+    const result = await upload([local], `${remote}/`)
+
+    // No .sshget.tmp left behind either
+    assert.deepEqual(readTree(join(remote, "tree")), readTree(local))
+    assert.equal(result.files, Object.keys(FILES).length)
+    assert.equal(statSync(join(remote, "tree/big.bin")).mtimeMs, 1700000000 * 1000)
+})
+
+test("uploads a single file to a new name and verifies it", async () => {
+    const local = tempDir()
+    writeTree(local, FILES)
+    const remote = tempDir()
+
+    await upload([join(local, "big.bin")], join(remote, "copy.bin"), { verify: "md5" })
+
+    assert.deepEqual(readTree(remote), { "copy.bin": FILES["big.bin"] })
+})